@@ -0,0 +1,75 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { getTokenKey } = require('./rateLimit');
+
+class ETagCache {
+    /**
+     * Process-wide cache of GitHub responses with their ETag/Last-Modified validators, so repeated reads can be
+     * sent as conditional requests and answered by a 304, which GitHub does not count against the rate limit
+     * @param  {Object}  [config]
+     * @param  {Number}  [config.maxEntries=1000]  Number of responses to keep, least recently used are evicted first
+     */
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Build the cache key of a GitHub command. Responses depend on the token, so its hash is part of the key
+     * @param  {Object} options GitHub command options (scopeType, action, route, token, params)
+     * @return {String}         Hashed cache key
+     */
+    static getKey({ scopeType, action, route, token, params }) {
+        return createHash('sha256')
+            .update(JSON.stringify({ scopeType, action, route, token: getTokenKey(token), params }))
+            .digest('hex');
+    }
+
+    /**
+     * Get a cached response and mark it as recently used
+     * @param  {String} key Cache key
+     * @return {Object}     Cached entry with etag, lastModified and response, or undefined
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Cache a response if it carries a validator
+     * @param  {String} key      Cache key
+     * @param  {Object} response Octokit response
+     */
+    set(key, { status, url, headers = {}, data }) {
+        const { etag, 'last-modified': lastModified } = headers;
+
+        if (!etag && !lastModified) {
+            return;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, { etag, lastModified, response: { status, url, headers, data } });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Get the validator headers to send for a cached entry
+     * @param  {Object} entry Cached entry
+     * @return {Object}       If-None-Match or If-Modified-Since header
+     */
+    static getConditionalHeaders({ etag, lastModified }) {
+        return etag ? { 'if-none-match': etag } : { 'if-modified-since': lastModified };
+    }
+}
+
+module.exports = { ETagCache };
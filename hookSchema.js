@@ -0,0 +1,126 @@
+'use strict';
+
+const joi = require('joi');
+const schema = require('screwdriver-data-schema');
+
+/**
+ * Hook schema of screwdriver-data-schema, extended with the events and fields
+ * parsed by this plugin that are not part of the shared schema yet.
+ * @type {Joi}
+ */
+const SCHEMA_HOOK = schema.core.scm.hook.keys({
+    action: joi
+        .string()
+        .when('type', {
+            is: 'pr',
+            then: joi.valid(
+                'opened',
+                'reopened',
+                'closed',
+                'synchronized',
+                'ready_for_review',
+                'converted_to_draft',
+                'labeled',
+                'unlabeled',
+                'edited'
+            )
+        })
+        .when('type', { is: 'repo', then: joi.valid('push', 'release', 'tag', 'branchCreated', 'branchDeleted') })
+        .when('type', { is: 'mergeQueue', then: joi.valid('checksRequested', 'destroyed') })
+        .when('type', { is: 'ping', then: joi.allow('').optional(), otherwise: joi.required() })
+        .label('Action of the event'),
+
+    type: joi
+        .string()
+        .valid('pr', 'repo', 'ping', 'check', 'comment', 'mergeQueue')
+        .required()
+        .label('Type of the event'),
+
+    prNum: joi.number().integer().positive().allow(null).optional().label('PR number'),
+
+    prNums: joi.array().items(joi.number().integer().positive()).optional().label('PR numbers of a merge group'),
+
+    prDraft: joi.boolean().optional().label('Whether the pull request is a draft'),
+
+    prLabels: joi.array().items(joi.string()).optional().label('Labels of the pull request'),
+
+    label: joi.string().optional().label('Label added or removed by the event'),
+
+    prBaseBranchFrom: joi.string().optional().label('Previous base branch of the pull request'),
+
+    beforeSha: joi.string().hex().optional().label('Commit SHA of the branch before the push'),
+
+    commitsTruncated: joi.boolean().optional().label('Whether the push payload misses some of the pushed commits'),
+
+    baseSha: joi.string().hex().optional().label('Commit SHA of the base branch a merge queue entry is built on'),
+
+    mergeGroupReason: joi
+        .string()
+        .valid('merged', 'invalidated', 'dequeued')
+        .optional()
+        .label('Why a merge queue entry was destroyed'),
+
+    tagAnnotated: joi.boolean().optional().label('Whether the pushed tag is an annotated tag'),
+
+    tagger: joi
+        .object()
+        .keys({
+            name: joi.string().allow('').required(),
+            email: joi.string().allow('').required()
+        })
+        .allow(null)
+        .optional()
+        .label('Tagger of an annotated tag'),
+
+    releaseAction: joi
+        .string()
+        .valid('published', 'prereleased', 'released', 'edited', 'deleted')
+        .optional()
+        .label('Action of the release event'),
+
+    releasePrerelease: joi.boolean().optional().label('Whether the release is a prerelease'),
+
+    releaseDraft: joi.boolean().optional().label('Whether the release is a draft'),
+
+    releaseTargetCommitish: joi.string().optional().label('Branch or commit the tag of the release is created from'),
+
+    releaseBody: joi.string().allow('').optional().label('Description of the release'),
+
+    releaseAssets: joi
+        .array()
+        .items(
+            joi.object().keys({
+                id: joi.number().integer().required(),
+                name: joi.string().required(),
+                contentType: joi.string().required(),
+                size: joi.number().integer().min(0).required(),
+                url: joi.string().uri().required()
+            })
+        )
+        .optional()
+        .label('Assets of the release'),
+
+    pipelineId: joi.number().integer().positive().allow(null).optional().label('Pipeline id of the check'),
+
+    jobName: joi.string().allow(null).optional().label('Job name of the check'),
+
+    checkRunId: joi.number().integer().allow(null).optional().label('Check run id'),
+
+    requestedActionId: joi.string().allow(null).optional().label('Identifier of the requested check run action'),
+
+    commentId: joi.number().integer().optional().label('Id of the PR comment'),
+
+    command: joi
+        .object()
+        .keys({
+            name: joi.string().required().label('Command name').example('restart'),
+            args: joi.array().items(joi.string()).required().label('Command arguments').example(['PR:test'])
+        })
+        .optional()
+        .label('Command given in a PR comment')
+});
+
+module.exports = {
+    hook: SCHEMA_HOOK,
+    parseHookOutput: joi.alternatives().try(SCHEMA_HOOK, null)
+};
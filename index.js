@@ -3,7 +3,6 @@
 'use strict';
 
 const Breaker = require('circuit-fuses').breaker;
-const { Octokit } = require('@octokit/rest');
 const { verify } = require('@octokit/webhooks-methods');
 const hoek = require('@hapi/hoek');
 const Path = require('path');
@@ -18,9 +17,35 @@ const ScmGithubGraphQL = require('screwdriver-scm-github-graphql');
 const CHECKOUT_URL_REGEX = schema.config.regex.CHECKOUT_URL;
 const PR_COMMENTS_REGEX = /^.+pipelines\/(\d+)\/builds.+ ([\w-:]+)$/;
 const PR_COMMENTS_KEYWORD_REGEX = /^__(.*)__.*$/;
+const PR_COMMENTS_PAGE_SIZE = 100;
+const PR_REVIEW_EVENTS = ['COMMENT', 'REQUEST_CHANGES'];
+const PR_MERGE_METHODS = ['merge', 'squash', 'rebase'];
+const SUCCESSFUL_CHECK_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+const ENABLE_AUTO_MERGE_MUTATION = `mutation($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!, $expectedHeadOid: GitObjectID) {
+    enablePullRequestAutoMerge(
+        input: { pullRequestId: $pullRequestId, mergeMethod: $mergeMethod, expectedHeadOid: $expectedHeadOid }
+    ) {
+        pullRequest {
+            autoMergeRequest {
+                enabledAt
+            }
+        }
+    }
+}`;
+const MINIMIZE_COMMENT_MUTATION = `mutation($subjectId: ID!) {
+    minimizeComment(input: { subjectId: $subjectId, classifier: OUTDATED }) {
+        minimizedComment {
+            isMinimized
+        }
+    }
+}`;
 const Scm = require('screwdriver-scm-base');
 const logger = require('screwdriver-logger');
-const { cacheBy, getRequestCacheStorage } = require('./requestCache');
+const { MemoryCache, cacheBy, getRequestCacheStorage, invalidateBy } = require('./requestCache');
+const hookSchema = require('./hookSchema');
+const { RateLimitTracker, getTokenKey } = require('./rateLimit');
+const { ETagCache } = require('./etagCache');
+const { OctokitPool } = require('./octokitPool');
 const DEFAULT_AUTHOR = {
     avatar: 'https://cd.screwdriver.cd/assets/unknown_user.png',
     name: 'n/a',
@@ -35,6 +60,9 @@ const MATCH_COMPONENT_HOST_NAME = 1;
 const WEBHOOK_PAGE_SIZE = 30;
 const BRANCH_PAGE_SIZE = 100;
 const PR_FILES_PAGE_SIZE = 100;
+const PUSH_COMMITS_LIMIT = 20; // GitHub truncates the commit list of push payloads
+const COMPARE_FILES_LIMIT = 300; // GitHub lists at most this many files of a comparison, without pagination
+const EMPTY_SHA_REGEX = /^0+$/;
 const POLLING_INTERVAL = 0.2;
 const POLLING_MAX_ATTEMPT = 10;
 const STATE_MAP = {
@@ -47,7 +75,136 @@ const DESCRIPTION_MAP = {
     FAILURE: 'Did not work as expected.',
     PENDING: 'Parked it as Pending...'
 };
-const PERMITTED_RELEASE_EVENT = ['published'];
+const CHECK_RUN_STATUS_MAP = {
+    CREATED: 'queued',
+    QUEUED: 'queued',
+    BLOCKED: 'queued',
+    FROZEN: 'queued',
+    PENDING: 'queued',
+    RUNNING: 'in_progress'
+};
+const CHECK_RUN_CONCLUSION_MAP = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    ABORTED: 'cancelled',
+    UNSTABLE: 'neutral',
+    COLLAPSED: 'skipped'
+};
+const CHECK_RUN_ANNOTATION_PAGE_SIZE = 50;
+const CHECK_RUN_NAME_REGEX = /^Screwdriver\/(\d+)\/(.+)$/;
+const PERMITTED_CHECK_EVENT = ['rerequested', 'requested_action'];
+const MERGE_GROUP_ACTION_MAP = {
+    checks_requested: 'checksRequested',
+    destroyed: 'destroyed'
+};
+// Temporary branches of merge queue entries, gh-readonly-queue/<base branch>/pr-<number>-<base sha>
+const MERGE_QUEUE_BRANCH_REGEX = /^gh-readonly-queue\/(.+)\/pr-(\d+)-[0-9a-f]+$/;
+// First line of the commits GitHub creates for merged and squashed pull requests
+const MERGED_PR_COMMIT_REGEX = /^(?:Merge pull request #(\d+) .*|.*\(#(\d+)\))$/;
+const DIFF_HUNK_HEADER_REGEX = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+const PR_COMMENT_COMMAND_REGEX = /^\/sd[ \t]+(\w[\w-]*)[ \t]*(.*)$/m;
+const PERMITTED_PR_EVENT = [
+    'opened',
+    'reopened',
+    'synchronize',
+    'closed',
+    'ready_for_review',
+    'converted_to_draft',
+    'labeled',
+    'unlabeled',
+    'edited'
+];
+const PERMITTED_RELEASE_EVENT = ['published', 'prereleased', 'released', 'edited', 'deleted'];
+// Events of webhooks created without explicit actions, including those only parsed to drop cached lookups.
+// Check run and check suite events are only sent to the GitHub App webhook, repository webhooks never get them.
+const DEFAULT_WEBHOOK_EVENTS = [
+    'push',
+    'pull_request',
+    'create',
+    'release',
+    'issue_comment',
+    'merge_group',
+    'repository',
+    'member'
+];
+// Events after which cached lookups of the repository are stale, with the affected cache scopes
+const CACHE_INVALIDATING_EVENT = {
+    repository: {
+        actions: ['renamed', 'transferred', 'edited', 'privatized', 'publicized'],
+        scopes: ['lookupScmUri', 'getRepoInfo', 'getFile']
+    },
+    member: {
+        actions: ['added', 'removed', 'edited'],
+        scopes: ['lookupScmUri', 'getRepoInfo', 'getFile']
+    },
+    push: {
+        scopes: ['getFile']
+    }
+};
+
+// Output of addPrComment, as validated by scm-base
+const PR_COMMENTS_SCHEMA = joi.array().items(
+    joi.alternatives().try(
+        joi.object().keys({
+            commentId: schema.models.job.base.extract('id').required(),
+            createTime: schema.models.build.base.extract('createTime').required(),
+            username: schema.core.scm.user.extract('username').required()
+        }),
+        joi.string().allow(null)
+    )
+);
+// Output of getOpenedPRs, as validated by scm-base
+const OPENED_PRS_SCHEMA = joi.array().items(
+    joi.object().keys({
+        name: schema.models.job.base.extract('name').required(),
+        ref: joi.string().required(),
+        username: schema.core.scm.pr.extract('username'),
+        title: schema.core.scm.pr.extract('title'),
+        createTime: schema.core.scm.pr.extract('createTime'),
+        url: schema.core.scm.pr.extract('url'),
+        userProfile: schema.core.scm.pr.extract('userProfile')
+    })
+);
+// Inputs of the release and tag commands, the GitHub App token is used when no token is given
+const RELEASE_REPO_SCHEMA = joi.object().keys({
+    scmUri: schema.models.pipeline.base.extract('scmUri').required(),
+    token: joi.string().optional(),
+    scmRepo: joi.object().optional(),
+    scmContext: joi.string().optional()
+});
+const RELEASE_FIELDS = {
+    targetCommitish: joi.string().optional(),
+    name: joi.string().allow('').optional(),
+    body: joi.string().allow('').optional(),
+    draft: joi.boolean().optional(),
+    prerelease: joi.boolean().optional()
+};
+const CREATE_RELEASE_SCHEMA = RELEASE_REPO_SCHEMA.keys({ tagName: joi.string().required(), ...RELEASE_FIELDS });
+const UPDATE_RELEASE_SCHEMA = RELEASE_REPO_SCHEMA.keys({
+    releaseId: joi.number().integer().positive().required(),
+    tagName: joi.string().optional(),
+    ...RELEASE_FIELDS
+});
+const UPLOAD_RELEASE_ASSET_SCHEMA = RELEASE_REPO_SCHEMA.keys({
+    releaseId: joi.number().integer().positive().required(),
+    name: joi.string().required(),
+    data: joi.alternatives().try(joi.binary(), joi.string().allow('')).required(),
+    contentType: joi.string().optional(),
+    label: joi.string().allow('').optional()
+});
+const CREATE_TAG_SCHEMA = RELEASE_REPO_SCHEMA.keys({
+    tagName: joi.string().required(),
+    sha: joi.string().hex().required(),
+    message: joi.string().required(),
+    tagger: joi
+        .object()
+        .keys({
+            name: joi.string().required(),
+            email: joi.string().required(),
+            date: joi.string().isoDate().optional()
+        })
+        .optional()
+});
 
 const DEPLOY_KEY_GENERATOR_CONFIG = {
     DEPLOY_KEYS_FORMAT: 'PEM',
@@ -55,7 +212,12 @@ const DEPLOY_KEY_GENERATOR_CONFIG = {
     DEPLOY_KEY_TITLE: 'sd@screwdriver.cd'
 };
 const DEFAULT_BRANCH = 'main';
+const GIT_FILE_MODE = '100644';
+const GIT_EXECUTABLE_FILE_MODE = '100755';
 const ENTERPRISE_USER = 'EnterpriseUserAccount';
+const APP_JWT_LIFETIME = 540; // seconds, GitHub rejects app JWTs valid for more than 10 minutes
+const APP_JWT_CLOCK_DRIFT = 60; // seconds
+const APP_TOKEN_EXPIRY_MARGIN = 60000; // milliseconds
 
 // Allowlist for branch / parentBranch / prBranchName values before they
 // are interpolated into shell command strings. Stricter than git's own
@@ -216,6 +378,277 @@ function sanitizeError(err) {
     return redact(err);
 }
 
+/**
+ * Get the status or check run name of a job
+ * @param  {Number} pipelineId  Pipeline Id
+ * @param  {String} [jobName]   Name of the job
+ * @param  {String} [context]   Custom context, used instead of the job name
+ * @return {String}             Name like Screwdriver/12/PR:main
+ */
+function getStatusContext(pipelineId, jobName, context) {
+    return context
+        ? `Screwdriver/${pipelineId}/${context}`
+        : `Screwdriver/${pipelineId}/${jobName.replace(/^PR-\d+/g, 'PR')}`;
+}
+
+/**
+ * Parse a check_run or check_suite webhook payload asking to run jobs again
+ * @param  {String} type     Event type, check_run or check_suite
+ * @param  {Object} payload  Parsed webhook payload
+ * @return {Object}          Event data, or null if the event is not about a Screwdriver check
+ */
+function parseCheckEvent(type, payload) {
+    const action = hoek.reach(payload, 'action');
+
+    if (!PERMITTED_CHECK_EVENT.includes(action)) {
+        return null;
+    }
+
+    const checkRun = type === 'check_run' ? hoek.reach(payload, 'check_run') : null;
+    const checkSuite = checkRun ? checkRun.check_suite : hoek.reach(payload, 'check_suite');
+    const pullRequest = hoek.reach(checkRun || checkSuite, 'pull_requests.0');
+    const prNum = pullRequest ? pullRequest.number : null;
+    let pipelineId = null;
+    let jobName = null;
+
+    // A check run belongs to a single job, a check suite covers every job of the commit
+    if (checkRun) {
+        const matched = CHECK_RUN_NAME_REGEX.exec(checkRun.name);
+
+        if (!matched) {
+            return null;
+        }
+
+        pipelineId = parseInt(matched[1], 10);
+        // Check runs of PR jobs are named PR:<job>, restore the PR-<num>:<job> job name
+        jobName = prNum ? matched[2].replace(/^PR:/, `PR-${prNum}:`) : matched[2];
+    }
+
+    return {
+        action: action === 'requested_action' ? 'requestedAction' : 'rerequested',
+        branch: pullRequest ? pullRequest.base.ref : checkSuite.head_branch,
+        sha: checkSuite.head_sha,
+        prNum,
+        pipelineId,
+        jobName,
+        checkRunId: checkRun ? checkRun.id : null,
+        requestedActionId: hoek.reach(payload, 'requested_action.identifier') || null,
+        type: 'check'
+    };
+}
+
+/**
+ * Pick the fields of a release returned by the GitHub API
+ * @param  {Object} release  Release of the GitHub API
+ * @return {Object}          Release with id, tagName, name, url and uploadUrl
+ */
+function getReleaseInfo(release) {
+    return {
+        id: release.id,
+        tagName: release.tag_name,
+        name: release.name || '',
+        url: release.html_url,
+        uploadUrl: release.upload_url
+    };
+}
+
+/**
+ * Build the search query of the open pull requests of a repository
+ * @param  {Object}  config
+ * @param  {String}  config.owner         Owner of the repository
+ * @param  {String}  config.repo          Name of the repository
+ * @param  {String}  [config.baseBranch]  Only pull requests against this base branch
+ * @param  {Boolean} [config.draft]       Only draft pull requests if true, only those ready for review if false
+ * @param  {String}  [config.label]       Only pull requests with this label
+ * @return {String}                       Search query
+ */
+function getOpenedPRsQuery({ owner, repo, baseBranch, draft, label }) {
+    const qualifiers = [`repo:${owner}/${repo}`, 'is:pr', 'is:open'];
+
+    if (baseBranch) {
+        qualifiers.push(`base:"${baseBranch}"`);
+    }
+    if (draft !== undefined) {
+        qualifiers.push(`draft:${draft}`);
+    }
+    if (label) {
+        qualifiers.push(`label:"${label}"`);
+    }
+
+    return qualifiers.join(' ');
+}
+
+/**
+ * Parse a merge_group webhook payload of a merge queue entry
+ * @param  {Object} payload  Parsed webhook payload
+ * @return {Object}          Event data, or null if the action is not handled
+ */
+function parseMergeGroupEvent(payload) {
+    const action = MERGE_GROUP_ACTION_MAP[hoek.reach(payload, 'action')];
+
+    if (!action) {
+        return null;
+    }
+
+    const mergeGroup = hoek.reach(payload, 'merge_group');
+    const headRef = mergeGroup.head_ref.replace(/^refs\/heads\//, '');
+    const matched = MERGE_QUEUE_BRANCH_REGEX.exec(headRef);
+    const event = {
+        action,
+        branch: mergeGroup.base_ref.replace(/^refs\/heads\//, ''),
+        sha: mergeGroup.head_sha,
+        baseSha: mergeGroup.base_sha,
+        ref: headRef,
+        // Each entry gets its own group on top of the entries ahead of it, the branch names the newest one only
+        prNum: matched ? parseInt(matched[2], 10) : null,
+        prNums: matched ? [parseInt(matched[2], 10)] : [],
+        lastCommitMessage: hoek.reach(mergeGroup, 'head_commit.message') || '',
+        type: 'mergeQueue'
+    };
+
+    if (action === 'destroyed') {
+        event.mergeGroupReason = hoek.reach(payload, 'reason');
+    }
+
+    return event;
+}
+
+/**
+ * Collect the files changed by all commits of a push payload
+ * @param  {Object} payload  Parsed push webhook payload
+ * @return {Object}          Object with addedFiles, modifiedFiles and removedFiles
+ */
+function getPushedFiles(payload) {
+    const commits = hoek.reach(payload, 'commits');
+    const headCommit = hoek.reach(payload, 'head_commit');
+    const pushed = Array.isArray(commits) && commits.length > 0 ? commits : [headCommit].filter(Boolean);
+    const collect = key => [...new Set(pushed.flatMap(commit => commit[key] || []))];
+
+    return {
+        addedFiles: collect('added'),
+        modifiedFiles: collect('modified'),
+        removedFiles: collect('removed')
+    };
+}
+
+/**
+ * Get the cache scopes made stale by a webhook event
+ * @param  {String} type     Event type
+ * @param  {Object} payload  Parsed webhook payload
+ * @return {Array}           Cache scope names, empty if cached lookups are still valid
+ */
+function getInvalidatedCacheScopes(type, payload) {
+    const event = CACHE_INVALIDATING_EVENT[type];
+
+    if (!event) {
+        return [];
+    }
+
+    if (event.actions) {
+        const action = hoek.reach(payload, 'action');
+
+        if (!event.actions.includes(action)) {
+            return [];
+        }
+
+        // Edits of the description or topics keep cached lookups valid
+        if (type === 'repository' && action === 'edited' && !hoek.reach(payload, 'changes.default_branch')) {
+            return [];
+        }
+    }
+
+    return event.scopes;
+}
+
+/**
+ * Parse the header of a Screwdriver build comment on a PR
+ * @param  {String} body  Comment body
+ * @return {Object}       Object with pipelineId, jobName and keyword (null if none), or null for other comments
+ */
+function parseBuildComment(body) {
+    const lines = (body || '').split(/\r?\n/);
+    const header = lines[0].match(PR_COMMENTS_REGEX);
+
+    if (!header) {
+        return null;
+    }
+
+    const keyword = (lines[3] || '').match(PR_COMMENTS_KEYWORD_REGEX);
+
+    return {
+        pipelineId: header[1],
+        jobName: header[2],
+        keyword: keyword ? keyword[1] : null
+    };
+}
+
+/**
+ * Check whether a PR comment is a Screwdriver build comment of a pipeline
+ * @param  {Object} comment               Comment as returned by prComments
+ * @param  {String} username              Login of the user posting the build comments
+ * @param  {Object} filter
+ * @param  {String} filter.pipelineId     Id of the pipeline
+ * @param  {String} [filter.jobName]      Name of the job
+ * @param  {Boolean} [filter.anyJob]      Match the comments of every job of the pipeline instead of jobName only
+ * @param  {String} [filter.keyword]      Keyword of the comment, any keyword if not set
+ * @return {Boolean}                      True if the comment matches
+ */
+function isBuildComment({ user, sdComment }, username, { pipelineId, jobName, anyJob, keyword }) {
+    return (
+        hoek.reach(user, 'login') === username &&
+        sdComment !== null &&
+        sdComment !== undefined &&
+        sdComment.pipelineId === `${pipelineId}` &&
+        (anyJob || sdComment.jobName === jobName) &&
+        (!keyword || sdComment.keyword === keyword)
+    );
+}
+
+/**
+ * Get the lines of the new version of a file that a pull request diff shows, the only lines review comments can be on
+ * @param  {String} [patch]  Patch of the file as returned by the pull request files API, missing for binary files
+ * @return {Map}             Index of the diff hunk keyed by line number
+ */
+function getDiffLines(patch) {
+    const lines = new Map();
+    let hunk = -1;
+    let line = 0;
+
+    (patch || '').split('\n').forEach(diffLine => {
+        const header = DIFF_HUNK_HEADER_REGEX.exec(diffLine);
+
+        if (header) {
+            hunk += 1;
+            line = parseInt(header[1], 10);
+        } else if (hunk >= 0 && !diffLine.startsWith('-') && !diffLine.startsWith('\\')) {
+            lines.set(line, hunk);
+            line += 1;
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Create a JSON Web Token to authenticate as a GitHub App
+ * @param  {String|Number} appId       Id of the GitHub App
+ * @param  {String}        privateKey  PEM encoded private key of the GitHub App
+ * @return {String}                    Signed JWT (RS256)
+ */
+function createAppJwt(appId, privateKey) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'RS256', typ: 'JWT' });
+    const payload = encode({
+        iat: now - APP_JWT_CLOCK_DRIFT,
+        exp: now + APP_JWT_LIFETIME,
+        iss: `${appId}`
+    });
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey, 'base64url');
+
+    return `${header}.${payload}.${signature}`;
+}
+
 /**
  * Get repo information
  * @method getInfo
@@ -260,38 +693,84 @@ class GithubScm extends Scm {
      * @param  {String}      options.token        Github token used for authentication of requests
      * @param  {Object}      options.params       Parameters to run with
      * @param  {String}      [options.scopeType]  Type of request to make. Default is 'repos'
-     * @param  {String}      [options.route]      Route for octokit.request()
+     * @param  {String}      [options.route]      Route for octokit.request(), or query for octokit.graphql()
+     * @param  {Boolean}     [options.conditional]  Revalidate with the ETag cache, if enabled, instead of refetching
      * @param  {Function}    callback             Callback function from github API
      */
     _githubCommand(options, callback) {
-        const config = { auth: `token ${options.token}`, ...this.octokitConfig };
-        const octokit = new Octokit(config);
+        const octokit = this.octokitPool.get(options.token);
         const scopeType = options.scopeType || 'repos';
-
-        if (scopeType === 'request' || scopeType === 'paginate') {
+        const { maxDelay } = this.config.rateLimit;
+        const cacheKey = options.conditional && this.etagCache ? ETagCache.getKey({ ...options, scopeType }) : null;
+
+        const run = retried => {
+            const cached = cacheKey ? this.etagCache.get(cacheKey) : undefined;
+            const params = cached
+                ? { ...options.params, headers: ETagCache.getConditionalHeaders(cached) }
+                : options.params;
             // for deprecation of 'octokit.repos.getById({id})'
             // ref: https://github.com/octokit/rest.js/releases/tag/v16.0.1
+            const request =
+                scopeType === 'request' || scopeType === 'paginate' || scopeType === 'graphql'
+                    ? octokit[scopeType](options.route, params)
+                    : octokit[scopeType][options.action](params);
+
             // octokit return response code as `response.status`, but screwdriver usually use `response.statusCode`
-            octokit[scopeType](options.route, options.params)
-                .then(response => {
-                    response.statusCode = response.status;
-                    callback(null, response);
-                })
-                .catch(err => {
-                    err.statusCode = err.status;
-                    callback(err);
-                });
-        } else {
-            octokit[scopeType][options.action](options.params)
+            request
                 .then(response => {
+                    this.rateLimiter.update(options.token, response.headers, response.status);
+                    if (cacheKey) {
+                        this.etagCache.set(cacheKey, response);
+                    }
                     response.statusCode = response.status;
                     callback(null, response);
                 })
                 .catch(err => {
+                    // Octokit rejects the 304 of a conditional request, the cached response is still current
+                    if (cached && err.status === 304) {
+                        this.rateLimiter.update(options.token, hoek.reach(err, 'response.headers'), err.status);
+                        callback(null, { ...cached.response, statusCode: cached.response.status });
+
+                        return;
+                    }
+
+                    const rateLimited = this.rateLimiter.update(
+                        options.token,
+                        hoek.reach(err, 'response.headers'),
+                        err.status
+                    );
+
+                    // Try once more if the limit resets soon enough
+                    if (rateLimited && !retried) {
+                        // eslint-disable-next-line no-use-before-define
+                        send(true);
+
+                        return;
+                    }
+
                     err.statusCode = err.status;
                     callback(err);
                 });
-        }
+        };
+
+        const send = retried => {
+            const delay = this.rateLimiter.acquire(options.token, maxDelay);
+
+            if (delay > maxDelay) {
+                const err = new Error(`GitHub rate limit exceeded, retry in ${Math.ceil(delay / 1000)} seconds`);
+
+                // 4xx errors are neither retried nor counted as failures by the breaker
+                err.status = 429;
+                err.statusCode = 429;
+                callback(err);
+            } else if (delay > 0) {
+                setTimeout(() => run(retried), delay);
+            } else {
+                run(retried);
+            }
+        };
+
+        send(false);
     }
 
     /**
@@ -304,16 +783,32 @@ class GithubScm extends Scm {
      * @param  {String}  [config.username=sd-buildbot]           GitHub username for checkout
      * @param  {String}  [config.email=dev-null@screwdriver.cd]  GitHub user email for checkout
      * @param  {Object}  [options.readOnly={}]       Read-only SCM instance config with: enabled, username, accessToken, cloneType
+     * @param  {Boolean} [config.collapseSupersededComments=false]  Post a new build comment on every build and minimize
+     *                                               the previous one as outdated, instead of editing it
+     * @param  {String[]} [config.releaseActions=['published']]  Release webhook actions that produce events
      * @param  {Boolean} [config.https=false]        Is the Screwdriver API running over HTTPS
      * @param  {String}  config.oauthClientId        OAuth Client ID provided by GitHub application
      * @param  {String}  config.oauthClientSecret    OAuth Client Secret provided by GitHub application
      * @param  {Object}  [config.fusebox={}]         Circuit Breaker configuration
-     * @param  {String}  config.secret               Secret to validate the signature of webhook events
+     * @param  {String|String[]} config.secret       Secret to validate the signature of webhook events, or a list of
+     *                                               accepted secrets ordered from newest to oldest while rotating
      * @param  {Boolean} [config.gheCloud=false]     Flag set to true if using Github Enterprise Cloud
      * @param  {Boolean} [config.gheCloudSlug]       The Github Enterprise Cloud Slug
      * @param  {Boolean} [config.gheCloudCookie]     The Github Enterprise Cloud Cookie name
      * @param  {Boolean} [config.gheCloudContext]    The Github Enterprise Cloud scm context
      * @param  {String}  config.githubGraphQLUrl     GraphQL endpoint for GitHub https://api.github.com/graphql
+     * @param  {String}  [config.githubAppId]        GitHub App id, used when no user token is supplied
+     * @param  {String}  [config.githubAppPrivateKey]     PEM encoded private key of the GitHub App
+     * @param  {String}  [config.githubAppInstallationId] GitHub App installation id, looked up per repository if not set
+     * @param  {Object}  [config.rateLimit]          Rate limit handling: minRemaining requests below which requests are
+     *                                               spread until the reset, maxDelay (ms) a request may be delayed,
+     *                                               and maxEntries limits to track
+     * @param  {Object}  [config.conditionalRequests]  Process-wide ETag cache for repository, file and user lookups:
+     *                                               enabled flag and maxEntries responses to keep
+     * @param  {Object}  [config.cache]              Cache shared across requests: store backend with get/set/delete
+     *                                               (in-memory LRU of maxEntries by default) and ttl (ms) per lookup
+     * @param  {Object}  [config.connectionPool]     Octokit clients and sockets to the GitHub API: maxClients pooled
+     *                                               clients, maxSockets sockets and keepAliveTimeout (ms) of idle sockets
      * @return {GithubScm}
      */
     constructor(config = {}) {
@@ -331,6 +826,12 @@ class GithubScm extends Scm {
                     username: joi.string().optional().default('sd-buildbot'),
                     email: joi.string().optional().default('dev-null@screwdriver.cd'),
                     commentUserToken: joi.string().optional().description('Token for PR comments'),
+                    collapseSupersededComments: joi.boolean().optional().default(false),
+                    releaseActions: joi
+                        .array()
+                        .items(joi.string().valid(...PERMITTED_RELEASE_EVENT))
+                        .optional()
+                        .default(['published']),
                     autoDeployKeyGeneration: joi.boolean().optional().default(false),
                     readOnly: joi
                         .object()
@@ -346,13 +847,60 @@ class GithubScm extends Scm {
                     oauthClientId: joi.string().required(),
                     oauthClientSecret: joi.string().required(),
                     fusebox: joi.object().default({}),
-                    secret: joi.string().required(),
+                    secret: joi
+                        .alternatives()
+                        .try(joi.string(), joi.array().items(joi.string()).min(1))
+                        .required()
+                        .description('Webhook secret, or list of accepted secrets with the newest first'),
                     gheCloud: joi.boolean().optional().default(false),
                     gheCloudSlug: joi.string().optional(),
                     gheCloudCookie: joi.string().optional(),
                     gheCloudContext: joi.string().optional(),
-                    githubGraphQLUrl: joi.string().optional().default('https://api.github.com/graphql')
+                    githubGraphQLUrl: joi.string().optional().default('https://api.github.com/graphql'),
+                    githubAppId: joi.alternatives().try(joi.string(), joi.number().integer()).optional(),
+                    githubAppPrivateKey: joi.string().optional().description('PEM encoded GitHub App private key'),
+                    githubAppInstallationId: joi.alternatives().try(joi.string(), joi.number().integer()).optional(),
+                    rateLimit: joi
+                        .object()
+                        .keys({
+                            minRemaining: joi.number().integer().min(0).default(100),
+                            maxDelay: joi.number().integer().min(0).default(5000),
+                            maxEntries: joi.number().integer().min(1).default(1000)
+                        })
+                        .default(),
+                    conditionalRequests: joi
+                        .object()
+                        .keys({
+                            enabled: joi.boolean().default(false),
+                            maxEntries: joi.number().integer().min(1).default(1000)
+                        })
+                        .default(),
+                    cache: joi
+                        .object()
+                        .keys({
+                            store: joi.object().optional().description('Cache backend with get/set/delete methods'),
+                            maxEntries: joi.number().integer().min(1).default(1000),
+                            ttl: joi
+                                .object()
+                                .keys({
+                                    lookupScmUri: joi.number().integer().min(0).default(0),
+                                    getRepoInfo: joi.number().integer().min(0).default(0),
+                                    decorateAuthor: joi.number().integer().min(0).default(0),
+                                    getFile: joi.number().integer().min(0).default(0)
+                                })
+                                .default()
+                        })
+                        .default(),
+                    connectionPool: joi
+                        .object()
+                        .keys({
+                            maxClients: joi.number().integer().min(1).default(100),
+                            maxSockets: joi.number().integer().min(1).default(50),
+                            keepAliveTimeout: joi.number().integer().min(1).default(4000)
+                        })
+                        .default()
                 })
+                .and('githubAppId', 'githubAppPrivateKey')
                 .unknown(true),
             'Invalid config for GitHub'
         );
@@ -363,9 +911,29 @@ class GithubScm extends Scm {
             this.octokitConfig.baseUrl = `${this.config.gheProtocol}://${this.config.gheHost}/api/v3`;
         }
 
+        this.octokitPool = new OctokitPool({ octokitConfig: this.octokitConfig, ...this.config.connectionPool });
+
         // eslint-disable-next-line no-underscore-dangle
         this.breaker = this._createBreakerWithTimeout();
 
+        this.rateLimiter = new RateLimitTracker({
+            ...this.config.rateLimit,
+            getKey: token => this._getRateLimitKey(token)
+        });
+
+        this.cacheStore = this.config.cache.store || new MemoryCache({ maxEntries: this.config.cache.maxEntries });
+
+        if (this.config.conditionalRequests.enabled) {
+            this.etagCache = new ETagCache({ maxEntries: this.config.conditionalRequests.maxEntries });
+        }
+
+        // GitHub App installation ids keyed by repository, access tokens keyed by installation id
+        // and installation ids keyed by access token
+        this.appInstallationIds = new Map();
+        this.appInstallationTokens = new Map();
+        this.appTokenInstallationIds = new Map();
+        this.appJwt = null;
+
         this.scmGithubGQL = config.gheCloud
             ? new ScmGithubGraphQL({
                   graphqlUrl: this.config.githubGraphQLUrl
@@ -401,6 +969,143 @@ class GithubScm extends Scm {
         });
     }
 
+    /**
+     * Get the input schema of a scm-base method. With a GitHub App, the token is optional:
+     * calls without one use the installation token.
+     * @method _getInputSchema
+     * @param  {Joi}  inputSchema  Input schema of the scm-base method
+     * @return {Joi}               Input schema to validate the config with
+     */
+    _getInputSchema(inputSchema) {
+        if (!this.config.githubAppId) {
+            return inputSchema;
+        }
+
+        return inputSchema.keys({ token: inputSchema.extract('token').optional() });
+    }
+
+    /**
+     * Get the JWT to authenticate as the GitHub App, reused until shortly before it expires
+     * @method _getAppJwt
+     * @return {String}   Signed JWT
+     */
+    _getAppJwt() {
+        if (!this.appJwt || this.appJwt.expiresAt - APP_TOKEN_EXPIRY_MARGIN <= Date.now()) {
+            this.appJwt = {
+                token: createAppJwt(this.config.githubAppId, this.config.githubAppPrivateKey),
+                expiresAt: Date.now() + APP_JWT_LIFETIME * 1000
+            };
+        }
+
+        return this.appJwt.token;
+    }
+
+    /**
+     * Get the key the rate limit of a token is tracked by. GitHub App tokens share the limit of
+     * the app or installation they belong to, so they are tracked by it instead of per token.
+     * @method _getRateLimitKey
+     * @param  {String} [token] Token used for the requests
+     * @return {String}         Key of the rate limit
+     */
+    _getRateLimitKey(token) {
+        if (!token) {
+            return getTokenKey(token);
+        }
+
+        if (this.appJwt && token === this.appJwt.token) {
+            return `app:${this.config.githubAppId}`;
+        }
+
+        const installationId = this.appTokenInstallationIds.get(token);
+
+        return installationId ? `installation:${installationId}` : getTokenKey(token);
+    }
+
+    /**
+     * Look up the GitHub App installation id for a repository
+     * @async  _getAppInstallationId
+     * @param  {Object}     config
+     * @param  {String}     [config.owner]      Owner of the repository
+     * @param  {String}     [config.repo]       Name of the repository
+     * @param  {String}     [config.repoId]     Id of the repository, used when owner and repo are unknown
+     * @return {Promise}                        Resolves to the installation id
+     */
+    async _getAppInstallationId({ owner, repo, repoId }) {
+        if (this.config.githubAppInstallationId) {
+            return `${this.config.githubAppInstallationId}`;
+        }
+
+        const cacheKey = repoId ? `id:${repoId}` : `${owner}/${repo}`;
+
+        if (this.appInstallationIds.has(cacheKey)) {
+            return this.appInstallationIds.get(cacheKey);
+        }
+
+        try {
+            const installation = await this.breaker.runCommand({
+                scopeType: 'request',
+                route: repoId ? 'GET /repositories/:id/installation' : 'GET /repos/:owner/:repo/installation',
+                token: this._getAppJwt(),
+                params: repoId ? { id: repoId } : { owner, repo }
+            });
+            const installationId = `${installation.data.id}`;
+
+            this.appInstallationIds.set(cacheKey, installationId);
+
+            return installationId;
+        } catch (err) {
+            logger.error('Failed to getAppInstallationId: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Get a GitHub App installation access token for a repository.
+     * Tokens are cached per installation until shortly before they expire.
+     * @async  _getAppToken
+     * @param  {Object}     config
+     * @param  {String}     [config.owner]      Owner of the repository
+     * @param  {String}     [config.repo]       Name of the repository
+     * @param  {String}     [config.repoId]     Id of the repository, used when owner and repo are unknown
+     * @return {Promise}                        Resolves to the installation token, or undefined if no GitHub App is configured
+     */
+    async _getAppToken({ owner, repo, repoId }) {
+        if (!this.config.githubAppId) {
+            return undefined;
+        }
+
+        const installationId = await this._getAppInstallationId({ owner, repo, repoId });
+        const cached = this.appInstallationTokens.get(installationId);
+
+        if (cached && cached.expiresAt - APP_TOKEN_EXPIRY_MARGIN > Date.now()) {
+            return cached.token;
+        }
+
+        try {
+            const accessToken = await this.breaker.runCommand({
+                scopeType: 'request',
+                route: 'POST /app/installations/:installation_id/access_tokens',
+                token: this._getAppJwt(),
+                params: { installation_id: installationId }
+            });
+
+            // Only the current token of an installation is kept
+            if (cached) {
+                this.appTokenInstallationIds.delete(cached.token);
+            }
+            this.appInstallationTokens.set(installationId, {
+                token: accessToken.data.token,
+                expiresAt: Date.parse(accessToken.data.expires_at)
+            });
+            this.appTokenInstallationIds.set(accessToken.data.token, installationId);
+
+            return accessToken.data.token;
+        } catch (err) {
+            logger.error('Failed to getAppToken: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
     /**
      * Look up a repo by SCM URI
      * @async  lookupScmUri
@@ -413,6 +1118,9 @@ class GithubScm extends Scm {
     async lookupScmUri({ scmUri, scmRepo, token }) {
         return cacheBy({
             scope: 'lookupScmUri',
+            store: this.cacheStore,
+            ttl: this.config.cache.ttl.lookupScmUri,
+            tag: scmUri.split(':')[1],
             params: {
                 scmUri,
                 scmRepoName: scmRepo ? scmRepo.name : null,
@@ -447,8 +1155,9 @@ class GithubScm extends Scm {
                         const repo = await this.breaker.runCommand({
                             scopeType: 'request',
                             route: 'GET /repositories/:id',
-                            token,
-                            params: { id: scmId }
+                            token: token || (await this._getAppToken({ repoId: scmId })),
+                            params: { id: scmId },
+                            conditional: true
                         });
 
                         repoFullName = repo.data.full_name;
@@ -524,50 +1233,247 @@ class GithubScm extends Scm {
     }
 
     /**
-     * Get all the comments of a particular Pull Request
-     * @async  prComments
-     * @param  {Object}   scmInfo           The information regarding SCM like repo, owner
-     * @param  {Integer}  prNum             The PR number used to fetch the PR
-     * @param  {String}   token             The PA token of the owner
-     * @return {Promise}                    Resolves to object containing the list of comments of this PR
+     * Merge a pull request once it is mergeable and its required statuses passed, or enable auto-merge
+     * so GitHub merges it when they do
+     * @async  mergePr
+     * @param  {Object}   config
+     * @param  {String}   config.scmUri                 The scmUri of the repository
+     * @param  {String}   config.token                  The token used to authenticate to the SCM
+     * @param  {Object}   [config.scmRepo]              The SCM repository to look up
+     * @param  {Integer}  config.prNum                  The PR number to merge
+     * @param  {String}   [config.method=merge]         Merge method: merge, squash or rebase
+     * @param  {String}   [config.sha]                  Expected head sha, the merge fails if the PR head moved
+     * @param  {String}   [config.commitTitle]          Title of the merge commit
+     * @param  {String}   [config.commitMessage]        Message of the merge commit
+     * @param  {Boolean}  [config.deleteBranch=false]   Delete the head branch after merging, if it is not a fork
+     * @param  {Boolean}  [config.autoMerge=false]      Enable auto-merge instead of merging now
+     * @return {Promise}                                Resolves to { merged, sha, branchDeleted }, or
+     *                                                  { merged: false, autoMerge: true } if auto-merge was enabled
      */
-    async prComments(scmInfo, prNum, token) {
+    async mergePr({
+        scmUri,
+        token,
+        scmRepo,
+        prNum,
+        method = 'merge',
+        sha,
+        commitTitle,
+        commitMessage,
+        deleteBranch = false,
+        autoMerge = false
+    }) {
+        if (!PR_MERGE_METHODS.includes(method)) {
+            throwError(`Invalid merge method ${method}, expected one of ${PR_MERGE_METHODS.join(', ')}`, 400);
+        }
+
+        const scmInfo = await this.lookupScmUri({ scmUri, token, scmRepo });
+
         try {
-            const { data } = await this.breaker.runCommand({
-                action: 'listComments',
-                scopeType: 'issues',
-                token,
-                params: {
-                    issue_number: prNum,
-                    owner: scmInfo.owner,
-                    repo: scmInfo.repo
-                }
-            });
+            if (autoMerge) {
+                const pullRequest = await this.breaker.runCommand({
+                    action: 'get',
+                    scopeType: 'pulls',
+                    token,
+                    params: { owner: scmInfo.owner, repo: scmInfo.repo, pull_number: prNum }
+                });
 
-            return {
-                comments: data
-            };
-        } catch (err) {
-            logger.error('Failed to fetch PR comments: ', sanitizeError(err));
+                await this.breaker.runCommand({
+                    scopeType: 'graphql',
+                    route: ENABLE_AUTO_MERGE_MUTATION,
+                    token,
+                    params: {
+                        pullRequestId: pullRequest.data.node_id,
+                        mergeMethod: method.toUpperCase(),
+                        expectedHeadOid: sha || null
+                    }
+                });
 
-            return null;
-        }
-    }
+                return { merged: false, autoMerge: true };
+            }
 
-    /**
+            const { success, pullRequestInfo } = await this.waitPrMergeability({ scmUri, token, scmRepo, prNum }, 0);
+
+            if (!success) {
+                throwError(`Pull request ${prNum} is not mergeable`, 409);
+            }
+            if (sha && sha !== pullRequestInfo.sha) {
+                throwError(`Head of pull request ${prNum} moved from ${sha} to ${pullRequestInfo.sha}`, 409);
+            }
+
+            const failingStatuses = await this._getFailingRequiredStatuses({
+                scmInfo,
+                token,
+                branch: pullRequestInfo.baseBranch,
+                sha: pullRequestInfo.sha
+            });
+
+            if (failingStatuses.length) {
+                throwError(
+                    `Required statuses of pull request ${prNum} did not pass: ${failingStatuses.join(', ')}`,
+                    409
+                );
+            }
+
+            const params = {
+                owner: scmInfo.owner,
+                repo: scmInfo.repo,
+                pull_number: prNum,
+                merge_method: method,
+                // Only merge the head the statuses were checked on
+                sha: pullRequestInfo.sha
+            };
+
+            if (commitTitle) {
+                params.commit_title = commitTitle;
+            }
+            if (commitMessage) {
+                params.commit_message = commitMessage;
+            }
+
+            const merge = await this.breaker.runCommand({
+                action: 'merge',
+                scopeType: 'pulls',
+                token,
+                params
+            });
+            let branchDeleted = false;
+
+            if (deleteBranch && pullRequestInfo.prSource === 'branch') {
+                try {
+                    await this.breaker.runCommand({
+                        action: 'deleteRef',
+                        scopeType: 'git',
+                        token,
+                        params: {
+                            owner: scmInfo.owner,
+                            repo: scmInfo.repo,
+                            ref: `heads/${pullRequestInfo.prBranchName}`
+                        }
+                    });
+                    branchDeleted = true;
+                } catch (err) {
+                    // The pull request is merged already, a leftover branch is not worth failing for
+                    logger.warn(`Failed to delete branch ${pullRequestInfo.prBranchName}: `, sanitizeError(err));
+                }
+            }
+
+            return { merged: merge.data.merged, sha: merge.data.sha, branchDeleted };
+        } catch (err) {
+            logger.error('Failed to mergePr: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Get the required statuses and checks of a branch that did not succeed on a commit
+     * @async  _getFailingRequiredStatuses
+     * @param  {Object}   config
+     * @param  {Object}   config.scmInfo    Owner and repo of the repository
+     * @param  {String}   config.token      The token used to authenticate to the SCM
+     * @param  {String}   config.branch     The protected branch
+     * @param  {String}   config.sha        The commit to check
+     * @return {Promise}                    Resolves to the names of the failing, pending or missing statuses
+     */
+    async _getFailingRequiredStatuses({ scmInfo, token, branch, sha }) {
+        const { owner, repo } = scmInfo;
+        // Unlike the branch protection endpoint, the branch summary of the protection needs no admin rights
+        const protectedBranch = await this.breaker.runCommand({
+            action: 'getBranch',
+            scopeType: 'repos',
+            token,
+            params: { owner, repo, branch }
+        });
+        const contexts = hoek.reach(protectedBranch.data, 'protection.required_status_checks.contexts', {
+            default: []
+        });
+
+        if (!contexts.length) {
+            return [];
+        }
+
+        const [statuses, checkRuns] = await Promise.all([
+            this.breaker.runCommand({
+                action: 'getCombinedStatusForRef',
+                scopeType: 'repos',
+                token,
+                params: { owner, repo, ref: sha, per_page: 100 }
+            }),
+            this.breaker.runCommand({
+                action: 'listForRef',
+                scopeType: 'checks',
+                token,
+                params: { owner, repo, ref: sha, filter: 'latest', per_page: 100 }
+            })
+        ]);
+        const passed = new Set([
+            ...statuses.data.statuses.filter(status => status.state === 'success').map(status => status.context),
+            ...checkRuns.data.check_runs
+                .filter(checkRun => SUCCESSFUL_CHECK_CONCLUSIONS.includes(checkRun.conclusion))
+                .map(checkRun => checkRun.name)
+        ]);
+
+        return contexts.filter(context => !passed.has(context));
+    }
+
+    /**
+     * Get all the comments of a particular Pull Request, walking through all pages
+     * @async  prComments
+     * @param  {Object}   scmInfo           The information regarding SCM like repo, owner
+     * @param  {Integer}  prNum             The PR number used to fetch the PR
+     * @param  {String}   token             The PA token of the owner
+     * @param  {Object}   [options]
+     * @param  {String}   [options.since]   Only comments updated at or after this ISO 8601 timestamp
+     * @return {Promise}                    Resolves to object containing the list of comments of this PR, newest first.
+     *                                      Each comment has a sdComment with the pipelineId, jobName and keyword of
+     *                                      Screwdriver build comments, or null
+     */
+    async prComments(scmInfo, prNum, token, { since } = {}) {
+        try {
+            const params = {
+                issue_number: prNum,
+                owner: scmInfo.owner,
+                repo: scmInfo.repo,
+                per_page: PR_COMMENTS_PAGE_SIZE
+            };
+
+            if (since) {
+                params.since = since;
+            }
+
+            const comments = await this.breaker.runCommand({
+                scopeType: 'paginate',
+                route: 'GET /repos/:owner/:repo/issues/:issue_number/comments',
+                token,
+                params
+            });
+
+            return {
+                comments: comments
+                    .map(comment => ({ ...comment, sdComment: parseBuildComment(comment.body) }))
+                    .reverse()
+            };
+        } catch (err) {
+            logger.error('Failed to fetch PR comments: ', sanitizeError(err));
+
+            return null;
+        }
+    }
+
+    /**
      * Edit a particular comment in the PR
      * @async  editPrComment
      * @param  {Integer}  commentId         The id of the particular comment to be edited
      * @param  {Object}   scmInfo           The information regarding SCM like repo, owner
      * @param  {String}   comment           The new comment body
+     * @param  {String}   [token]           Token used when no commentUserToken is configured
      * @return {Promise}                    Resolves to object containing PR comment info
      */
-    async editPrComment(commentId, scmInfo, comment) {
+    async editPrComment(commentId, scmInfo, comment, token) {
         try {
             const pullRequestComment = await this.breaker.runCommand({
                 action: 'updateComment',
                 scopeType: 'issues',
-                token: this.config.commentUserToken, // need to use a token with public_repo permissions
+                token: this.config.commentUserToken || token, // need to use a token with public_repo permissions
                 params: {
                     owner: scmInfo.owner,
                     repo: scmInfo.repo,
@@ -664,11 +1570,26 @@ class GithubScm extends Scm {
         return {
             pr: 'pull_request',
             release: 'release',
-            tag: 'create',
-            commit: 'push'
+            // Tags are parsed from their push event, their create event is dropped
+            tag: 'push',
+            commit: 'push',
+            comment: 'issue_comment',
+            mergeQueue: 'merge_group',
+            // Only parsed to drop cached lookups of the repository
+            repository: 'repository',
+            member: 'member'
         };
     }
 
+    /**
+     * Get the accepted webhook secrets, newest first
+     * @method _getWebhookSecrets
+     * @return {String[]}   List of secrets
+     */
+    _getWebhookSecrets() {
+        return [].concat(this.config.secret);
+    }
+
     /**
      * Look up a webhook from a repo
      * @async  _findWebhook
@@ -722,13 +1643,13 @@ class GithubScm extends Scm {
         let action = 'createWebhook';
         const params = {
             active: true,
-            events: config.actions.length === 0 ? ['push', 'pull_request', 'create', 'release'] : config.actions,
+            events: config.actions.length === 0 ? DEFAULT_WEBHOOK_EVENTS : config.actions,
             owner: config.scmInfo.owner,
             repo: config.scmInfo.repo,
             name: 'web',
             config: {
                 content_type: 'json',
-                secret: this.config.secret,
+                secret: this._getWebhookSecrets()[0],
                 url: config.url
             }
         };
@@ -752,12 +1673,28 @@ class GithubScm extends Scm {
         }
     }
 
+    /**
+     * Adds the Screwdriver webhook to the Github repository, with the GitHub App installation token if no token is given
+     * @async  addWebhook
+     * @param  {Object}    config         Same as _addWebhook, with an optional token
+     * @return {Promise}                  Resolve means operation completed without failure
+     */
+    async addWebhook(config) {
+        const { error } = this._getInputSchema(schema.plugins.scm.addWebhook).validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        return this._addWebhook(this.getConfig(config));
+    }
+
     /**
      * Adds the Screwdriver webhook to the Github repository
      * @async  _addWebhook
      * @param  {Object}    config             Config object
      * @param  {String}    config.scmUri      The SCM URI to add the webhook to
-     * @param  {String}    config.token       Service token to authenticate with Github
+     * @param  {String}    [config.token]     Service token to authenticate with Github, the App token by default
      * @param  {Object}    [config.scmRepo]   The SCM repo to look up
      * @param  {String}    config.webhookUrl  The URL to use for the webhook notifications
      * @param  {Array}     config.actions     The list of actions to be added for this webhook
@@ -774,22 +1711,83 @@ class GithubScm extends Scm {
         }
 
         const scmInfo = await this.lookupScmUri(lookupConfig);
+        const token = config.token || (await this._getAppToken(scmInfo));
         const hookInfo = await this._findWebhook({
             scmInfo,
             url: config.webhookUrl,
             page: 1,
-            token: config.token
+            token
         });
 
         return this._createWebhook({
             hookInfo,
             scmInfo,
             actions: config.actions,
-            token: config.token,
+            token,
             url: config.webhookUrl
         });
     }
 
+    /**
+     * Rewrite the Screwdriver webhook of each repository to use the newest secret.
+     * Repositories are updated one at a time so a large rotation does not exhaust the rate limit.
+     * @async  rotateWebhookSecret
+     * @param  {Object}    config
+     * @param  {Array}     config.repos         Repositories to update: objects with scmUri, and optionally scmRepo and token
+     * @param  {String}    config.webhookUrl    The URL of the Screwdriver webhook
+     * @param  {String}    [config.token]       Token used for repositories without their own token
+     * @param  {Function}  [config.onProgress]  Called after each repository with { scmUri, status, done, total }
+     * @return {Promise}                        Resolves to { updated, notFound, failed } lists of scmUris
+     */
+    async rotateWebhookSecret({ repos, webhookUrl, token, onProgress }) {
+        const [secret] = this._getWebhookSecrets();
+        const result = { updated: [], notFound: [], failed: [] };
+
+        for (const [index, { scmUri, scmRepo, token: repoToken }] of repos.entries()) {
+            let status;
+
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                const scmInfo = await this.lookupScmUri({ scmUri, scmRepo, token: repoToken || token });
+                // eslint-disable-next-line no-await-in-loop
+                const authToken = repoToken || token || (await this._getAppToken(scmInfo));
+                // eslint-disable-next-line no-await-in-loop
+                const hookInfo = await this._findWebhook({ scmInfo, url: webhookUrl, page: 1, token: authToken });
+
+                if (hookInfo) {
+                    // eslint-disable-next-line no-await-in-loop
+                    await this.breaker.runCommand({
+                        action: 'updateWebhookConfigForRepo',
+                        token: authToken,
+                        params: {
+                            owner: scmInfo.owner,
+                            repo: scmInfo.repo,
+                            hook_id: hookInfo.id,
+                            content_type: 'json',
+                            secret,
+                            url: webhookUrl
+                        }
+                    });
+                    status = 'updated';
+                } else {
+                    status = 'notFound';
+                }
+            } catch (err) {
+                logger.error(`Failed to rotate webhook secret of ${scmUri}: `, sanitizeError(err));
+                status = 'failed';
+            }
+
+            result[status].push(scmUri);
+            logger.info(`Rotating webhook secrets: ${index + 1}/${repos.length}, ${scmUri} ${status}`);
+
+            if (onProgress) {
+                onProgress({ scmUri, status, done: index + 1, total: repos.length });
+            }
+        }
+
+        return result;
+    }
+
     /**
      * Get the command to check out source code from a repository
      * @async  _getCheckoutCommand
@@ -810,7 +1808,10 @@ class GithubScm extends Scm {
     async _getCheckoutCommand(config) {
         const checkoutUrl = `${config.host}/${config.org}/${config.repo}`; // URL for https
         const sshCheckoutUrl = `git@${config.host}:${config.org}/${config.repo}`; // URL for ssh
-        const branch = config.commitBranch ? config.commitBranch : config.branch; // use commit branch
+        const commitBranch = config.commitBranch ? config.commitBranch : config.branch; // use commit branch
+        const mergeQueueMatch = MERGE_QUEUE_BRANCH_REGEX.exec(commitBranch);
+        // Merge queue branches are deleted with their group, so clone the base branch and fetch the sha from it
+        const branch = mergeQueueMatch ? mergeQueueMatch[1] : commitBranch;
 
         if (!isSafeBranchName(branch)) {
             throwError(`Invalid branch name: ${branch}`, 400);
@@ -1142,22 +2143,65 @@ class GithubScm extends Scm {
         };
     }
 
+    /**
+     * Get a list of names and references of opened PRs, optionally narrowed down by base branch, draft status and label
+     * @async  getOpenedPRs
+     * @param  {Object}      config
+     * @param  {String}      config.scmUri          The scmUri to get opened PRs from
+     * @param  {String}      config.token           The token used to authenticate with the SCM
+     * @param  {String}      [config.scmContext]    The scm context name
+     * @param  {Object}      [config.scmRepo]       The SCM repo to look up
+     * @param  {String}      [config.baseBranch]    Only PRs against this base branch
+     * @param  {Boolean}     [config.draft]         Only draft PRs if true, only PRs ready for review if false
+     * @param  {String}      [config.label]         Only PRs with this label
+     * @return {Promise}                            Resolves to an array of objects storing opened PR names and refs
+     */
+    async getOpenedPRs(config) {
+        // The base schema does not know the filters of this plugin, so the base validation is repeated here
+        const { error } = schema.plugins.scm.getCommitSha
+            .keys({
+                baseBranch: joi.string().optional(),
+                draft: joi.boolean().optional(),
+                label: joi.string().optional()
+            })
+            .validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        const openedPRs = await this._getOpenedPRs(this.getConfig(config));
+        const { error: outputError } = OPENED_PRS_SCHEMA.validate(openedPRs);
+
+        if (outputError) {
+            throw outputError;
+        }
+
+        return openedPRs;
+    }
+
     /**
      * Get a list of names and references of opened PRs
      * @async  _getOpenedPRs
      * @param  {Object}      config
-     * @param  {String}      config.scmUri      The scmUri to get opened PRs from
-     * @param  {String}      config.token       The token used to authenticate with the SCM
-     * @param  {Object}      [config.scmRepo]   The SCM repo to look up
-     * @return {Promise}                        Resolves to an array of objects storing opened PR names and refs
+     * @param  {String}      config.scmUri          The scmUri to get opened PRs from
+     * @param  {String}      config.token           The token used to authenticate with the SCM
+     * @param  {Object}      [config.scmRepo]       The SCM repo to look up
+     * @param  {String}      [config.baseBranch]    Only PRs against this base branch
+     * @param  {Boolean}     [config.draft]         Only draft PRs if true, only PRs ready for review if false
+     * @param  {String}      [config.label]         Only PRs with this label
+     * @return {Promise}                            Resolves to an array of objects storing opened PR names and refs
      */
-    async _getOpenedPRs({ scmUri, token, scmRepo }) {
+    async _getOpenedPRs({ scmUri, token, scmRepo, baseBranch, draft, label }) {
         return cacheBy({
             scope: 'getOpenedPRs',
             params: {
                 scmUri,
                 scmRepoName: scmRepo ? scmRepo.name : null,
-                token
+                token,
+                baseBranch: baseBranch || null,
+                draft: draft === undefined ? null : draft,
+                label: label || null
             },
             fetcher: async () => {
                 const lookupConfig = {
@@ -1172,19 +2216,40 @@ class GithubScm extends Scm {
                 const { owner, repo } = await this.lookupScmUri(lookupConfig);
 
                 try {
-                    const pullRequests = await this.breaker.runCommand({
-                        action: 'list',
-                        scopeType: 'pulls',
-                        token,
-                        params: {
+                    let pullRequests;
+
+                    if (draft === undefined && !label) {
+                        const params = {
                             owner,
                             repo,
                             state: 'open',
                             per_page: 100
+                        };
+
+                        if (baseBranch) {
+                            params.base = baseBranch;
                         }
-                    });
 
-                    return pullRequests.data.map(pullRequest => ({
+                        pullRequests = await this.breaker.runCommand({
+                            scopeType: 'paginate',
+                            route: 'GET /repos/:owner/:repo/pulls',
+                            token,
+                            params
+                        });
+                    } else {
+                        // The pull request list can only be narrowed down by base branch, the search by all filters
+                        pullRequests = await this.breaker.runCommand({
+                            scopeType: 'paginate',
+                            route: 'GET /search/issues',
+                            token,
+                            params: {
+                                q: getOpenedPRsQuery({ owner, repo, baseBranch, draft, label }),
+                                per_page: 100
+                            }
+                        });
+                    }
+
+                    return pullRequests.map(pullRequest => ({
                         name: `PR-${pullRequest.number}`,
                         ref: `pull/${pullRequest.number}/merge`,
                         username: pullRequest.user.login,
@@ -1208,6 +2273,7 @@ class GithubScm extends Scm {
      * @param  {String}   config.scmUri      The scmUri to get permissions on
      * @param  {Object}   [config.scmRepo]   The SCM repo to look up
      * @param  {String}   config.token       The token used to authenticate to the SCM
+     * @param  {String}   [config.username]  Get the permissions of this user instead of the token owner
      * @return {Promise}                     Resolves to the owner's repository permissions
      */
     async _getPermissions(config) {
@@ -1223,6 +2289,25 @@ class GithubScm extends Scm {
         try {
             const scmInfo = await this.lookupScmUri(lookupConfig);
 
+            if (config.username) {
+                const collaborator = await this.breaker.runCommand({
+                    action: 'getCollaboratorPermissionLevel',
+                    token: config.token,
+                    params: {
+                        owner: scmInfo.owner,
+                        repo: scmInfo.repo,
+                        username: config.username
+                    }
+                });
+                const { permission } = collaborator.data;
+
+                return {
+                    admin: permission === 'admin',
+                    push: ['admin', 'write'].includes(permission),
+                    pull: permission !== 'none'
+                };
+            }
+
             const repo = await this.breaker.runCommand({
                 action: 'get',
                 token: config.token,
@@ -1384,6 +2469,22 @@ class GithubScm extends Scm {
         }
     }
 
+    /**
+     * Update the commit status for a given repo and sha, with the GitHub App installation token if no token is given
+     * @async  updateCommitStatus
+     * @param  {Object}   config          Same as _updateCommitStatus, with an optional token
+     * @return {Promise}                  Resolves when operation completed
+     */
+    async updateCommitStatus(config) {
+        const { error } = this._getInputSchema(schema.plugins.scm.updateCommitStatus).validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        return this._updateCommitStatus(this.getConfig(config));
+    }
+
     /**
      * Update the commit status for a given repo and sha
      * @async  _updateCommitStatus
@@ -1391,7 +2492,7 @@ class GithubScm extends Scm {
      * @param  {String}   config.scmUri       The scmUri to get permissions on
      * @param  {String}   config.sha          The sha to apply the status to
      * @param  {String}   config.buildStatus  The build status used for figuring out the commit status to set
-     * @param  {String}   config.token        The token used to authenticate to the SCM
+     * @param  {String}   [config.token]      The token used to authenticate to the SCM, the App token by default
      * @param  {Object}   [config.scmRepo]   The SCM repo to look up
      * @param  {String}   config.jobName      Optional name of the job that finished
      * @param  {String}   config.url          Target url
@@ -1422,11 +2523,8 @@ class GithubScm extends Scm {
         }
 
         const { owner, repo } = await this.lookupScmUri(lookupConfig);
-        const statusTitle = context
-            ? `Screwdriver/${pipelineId}/${context}`
-            : `Screwdriver/${pipelineId}/${jobName.replace(/^PR-\d+/g, 'PR')}`; // (e.g. Screwdriver/12/PR:main)
         const params = {
-            context: statusTitle,
+            context: getStatusContext(pipelineId, jobName, context), // (e.g. Screwdriver/12/PR:main)
             description: description || DESCRIPTION_MAP[buildStatus],
             repo,
             sha,
@@ -1438,7 +2536,7 @@ class GithubScm extends Scm {
         try {
             const status = await this.breaker.runCommand({
                 action: 'createCommitStatus',
-                token,
+                token: token || (await this._getAppToken({ owner, repo })),
                 params
             });
 
@@ -1453,13 +2551,160 @@ class GithubScm extends Scm {
         }
     }
 
+    /**
+     * Create or update the check run of a job for a given repo and sha.
+     * Check runs can only be written by a GitHub App, so the installation token is preferred when configured.
+     * @async  updateCheckRun
+     * @param  {Object}   config
+     * @param  {String}   config.scmUri         The scmUri of the repository
+     * @param  {String}   config.sha            The sha to report the check run on
+     * @param  {String}   config.buildStatus    The build status used for figuring out the check run status and conclusion
+     * @param  {String}   [config.token]        The token used to authenticate to the SCM
+     * @param  {Object}   [config.scmRepo]      The SCM repo to look up
+     * @param  {String}   config.jobName        Name of the job
+     * @param  {Number}   config.pipelineId     Pipeline Id
+     * @param  {String}   [config.context]      Check run name suffix, used instead of the job name
+     * @param  {String}   [config.url]          Details url
+     * @param  {String}   [config.title]        Title of the check run output
+     * @param  {String}   [config.summary]      Markdown summary of the check run output
+     * @param  {String}   [config.text]         Markdown details of the check run output
+     * @param  {Array}    [config.annotations]  Annotations with path, startLine, endLine, level, message and title
+     * @return {Promise}                        Resolves to the check run
+     */
+    async updateCheckRun({
+        scmUri,
+        sha,
+        buildStatus,
+        token,
+        scmRepo,
+        jobName,
+        pipelineId,
+        context,
+        url,
+        title,
+        summary,
+        text,
+        annotations = []
+    }) {
+        const lookupConfig = {
+            scmUri,
+            token
+        };
+
+        if (scmRepo) {
+            lookupConfig.scmRepo = scmRepo;
+        }
+
+        const { owner, repo } = await this.lookupScmUri(lookupConfig);
+        const authToken = (await this._getAppToken({ owner, repo })) || token;
+        const name = getStatusContext(pipelineId, jobName, context);
+        const status = CHECK_RUN_STATUS_MAP[buildStatus] || 'completed';
+        const githubAnnotations = annotations.map(annotation => ({
+            path: annotation.path,
+            start_line: annotation.startLine,
+            end_line: annotation.endLine || annotation.startLine,
+            annotation_level: annotation.level || 'failure',
+            message: annotation.message,
+            title: annotation.title
+        }));
+        const output = {
+            title: title || DESCRIPTION_MAP[buildStatus] || buildStatus,
+            summary: summary || DESCRIPTION_MAP[buildStatus] || '',
+            text
+        };
+        const params = {
+            owner,
+            repo,
+            name,
+            head_sha: sha,
+            details_url: url,
+            status,
+            output: { ...output, annotations: githubAnnotations.slice(0, CHECK_RUN_ANNOTATION_PAGE_SIZE) }
+        };
+
+        if (status === 'completed') {
+            params.conclusion = CHECK_RUN_CONCLUSION_MAP[buildStatus] || 'failure';
+        }
+
+        try {
+            const existing = await this.breaker.runCommand({
+                action: 'listForRef',
+                scopeType: 'checks',
+                token: authToken,
+                params: { owner, repo, ref: sha, check_name: name, filter: 'latest' }
+            });
+            const [checkRun] = existing.data.check_runs;
+            let result;
+
+            if (checkRun) {
+                result = await this.breaker.runCommand({
+                    action: 'update',
+                    scopeType: 'checks',
+                    token: authToken,
+                    params: { ...params, check_run_id: checkRun.id }
+                });
+            } else {
+                result = await this.breaker.runCommand({
+                    action: 'create',
+                    scopeType: 'checks',
+                    token: authToken,
+                    params
+                });
+            }
+
+            // GitHub accepts at most 50 annotations per request, the rest are appended by updates
+            for (
+                let start = CHECK_RUN_ANNOTATION_PAGE_SIZE;
+                start < githubAnnotations.length;
+                start += CHECK_RUN_ANNOTATION_PAGE_SIZE
+            ) {
+                // eslint-disable-next-line no-await-in-loop
+                await this.breaker.runCommand({
+                    action: 'update',
+                    scopeType: 'checks',
+                    token: authToken,
+                    params: {
+                        owner,
+                        repo,
+                        check_run_id: result.data.id,
+                        output: {
+                            ...output,
+                            annotations: githubAnnotations.slice(start, start + CHECK_RUN_ANNOTATION_PAGE_SIZE)
+                        }
+                    }
+                });
+            }
+
+            return result.data;
+        } catch (err) {
+            logger.error('Failed to updateCheckRun: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Fetch content of a file from github, with the GitHub App installation token if no token is given
+     * @async  getFile
+     * @param  {Object}   config          Same as _getFile, with an optional token
+     * @return {Promise}                  Resolves to string containing contents of file
+     */
+    async getFile(config) {
+        const { error } = this._getInputSchema(schema.plugins.scm.getFile).validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        return this._getFile(this.getConfig(config));
+    }
+
     /**
      * Fetch content of a file from github
      * @async  _getFile
      * @param  {Object}   config
      * @param  {String}   config.scmUri       The scmUri to get permissions on
      * @param  {String}   config.path         The file in the repo to fetch
-     * @param  {String}   config.token        The token used to authenticate to the SCM
+     * @param  {String}   [config.token]      The token used to authenticate to the SCM, the App token by default
      * @param  {String}   [config.ref]        The reference to the SCM, either branch or sha
      * @param  {Object}   [config.scmRepo]    The SCM repository to look up
      * @return {Promise}                      Resolves to string containing contents of file
@@ -1467,6 +2712,9 @@ class GithubScm extends Scm {
     async _getFile({ scmUri, path, token, ref, scmRepo }) {
         return cacheBy({
             scope: 'getFile',
+            store: this.cacheStore,
+            ttl: this.config.cache.ttl.getFile,
+            tag: scmUri.split(':')[1],
             params: {
                 scmUri,
                 path,
@@ -1523,13 +2771,14 @@ class GithubScm extends Scm {
                 try {
                     const file = await this.breaker.runCommand({
                         action: 'getContent',
-                        token,
+                        token: token || (await this._getAppToken({ owner, repo })),
                         params: {
                             owner,
                             repo,
                             path: fullPath,
                             ref: ref || branch || DEFAULT_BRANCH
-                        }
+                        },
+                        conditional: true
                     });
 
                     if (file.data.type !== 'file') {
@@ -1554,7 +2803,7 @@ class GithubScm extends Scm {
     /**
      * Retrieve stats for the executor
      * @method stats
-     * @param  {Response} Object          Object containing stats for the executor
+     * @param  {Response} Object          Object containing stats for the executor, with the remaining rate limit per token
      */
     stats() {
         const stats = this.breaker.stats();
@@ -1562,7 +2811,7 @@ class GithubScm extends Scm {
         const scmContext = scmContexts[0];
 
         return {
-            [scmContext]: stats
+            [scmContext]: { ...stats, rateLimits: this.rateLimiter.stats() }
         };
     }
 
@@ -1577,6 +2826,10 @@ class GithubScm extends Scm {
     async _getRepoInfo(scmInfo, token, checkoutUrl) {
         return cacheBy({
             scope: 'getRepoInfo',
+            store: this.cacheStore,
+            ttl: this.config.cache.ttl.getRepoInfo,
+            // The repository id is only known from the result, repositories are invalidated by name too
+            tag: `${scmInfo.owner}/${scmInfo.repo}`.toLowerCase(),
             params: {
                 scmInfo,
                 token
@@ -1613,6 +2866,8 @@ class GithubScm extends Scm {
     async _decorateAuthor(config) {
         return cacheBy({
             scope: 'decorateAuthor',
+            store: this.cacheStore,
+            ttl: this.config.cache.ttl.decorateAuthor,
             params: {
                 username: config.username,
                 token: config.token
@@ -1623,7 +2878,8 @@ class GithubScm extends Scm {
                         action: 'getByUsername',
                         scopeType: 'users',
                         token: config.token,
-                        params: { username: config.username }
+                        params: { username: config.username },
+                        conditional: true
                     });
                     const name = user.data.name || user.data.login;
 
@@ -1766,61 +3022,123 @@ class GithubScm extends Scm {
     }
 
     /**
-     * Get the changed files from a Github event
-     * @async  _getChangedFiles
+     * Get the files changed by a pull request
+     * @async  _getPrFiles
      * @param  {Object}   config
-     * @param  {String}   config.type               Can be 'pr' or 'repo'
-     * @param  {Object}   [config.webhookConfig]    The webhook payload received from the SCM service.
      * @param  {String}   config.token              Service token to authenticate with Github
      * @param  {Object}   [config.scmRepo]          The SCM repo to look up
-     * @param  {String}   [config.scmUri]           The scmUri to get PR info of
-     * @param  {Integer}  [config.prNum]            The PR number
-     * @return {Promise}                            Resolves to an array of filenames of the changed files
+     * @param  {String}   config.scmUri             The scmUri to get PR info of
+     * @param  {Integer}  config.prNum              The PR number
+     * @return {Promise}                            Resolves to the list of files as returned by GitHub
      */
-    async _getChangedFiles({ type, webhookConfig, token, scmRepo, scmUri, prNum }) {
-        if (type === 'pr') {
-            try {
-                await this.waitPrMergeability({ scmUri, token, scmRepo, prNum }, 0);
+    async _getPrFiles({ token, scmRepo, scmUri, prNum }) {
+        await this.waitPrMergeability({ scmUri, token, scmRepo, prNum }, 0);
 
-                const lookupConfig = {
-                    scmUri,
-                    token
-                };
+        const lookupConfig = {
+            scmUri,
+            token
+        };
 
-                if (scmRepo) {
-                    lookupConfig.scmRepo = scmRepo;
-                }
-                const scmInfo = await this.lookupScmUri(lookupConfig);
+        if (scmRepo) {
+            lookupConfig.scmRepo = scmRepo;
+        }
+        const scmInfo = await this.lookupScmUri(lookupConfig);
 
-                // Getting PR Info to check number of changed files
-                const prInfo = await this.breaker.runCommand({
-                    action: 'get',
-                    scopeType: 'pulls',
-                    token,
-                    params: { owner: scmInfo.owner, repo: scmInfo.repo, pull_number: prNum }
-                });
+        // Getting PR Info to check number of changed files
+        const prInfo = await this.breaker.runCommand({
+            action: 'get',
+            scopeType: 'pulls',
+            token,
+            params: { owner: scmInfo.owner, repo: scmInfo.repo, pull_number: prNum }
+        });
 
-                const fileCount = prInfo.data.changed_files;
+        const fileCount = prInfo.data.changed_files;
 
-                let getFilesBreaker = this.breaker;
+        let getFilesBreaker = this.breaker;
 
-                if (fileCount > PR_FILES_PAGE_SIZE) {
-                    const timeoutMultiplier = Math.ceil(fileCount / PR_FILES_PAGE_SIZE);
+        if (fileCount > PR_FILES_PAGE_SIZE) {
+            const timeoutMultiplier = Math.ceil(fileCount / PR_FILES_PAGE_SIZE);
 
-                    getFilesBreaker = this._createBreakerWithTimeout(timeoutMultiplier);
-                }
+            getFilesBreaker = this._createBreakerWithTimeout(timeoutMultiplier);
+        }
 
-                const files = await getFilesBreaker.runCommand({
-                    scopeType: 'paginate',
-                    route: 'GET /repos/:owner/:repo/pulls/:pull_number/files',
-                    token,
-                    params: {
-                        owner: scmInfo.owner,
-                        repo: scmInfo.repo,
-                        pull_number: prNum,
-                        per_page: PR_FILES_PAGE_SIZE
-                    }
-                });
+        return getFilesBreaker.runCommand({
+            scopeType: 'paginate',
+            route: 'GET /repos/:owner/:repo/pulls/:pull_number/files',
+            token,
+            params: {
+                owner: scmInfo.owner,
+                repo: scmInfo.repo,
+                pull_number: prNum,
+                per_page: PR_FILES_PAGE_SIZE
+            }
+        });
+    }
+
+    /**
+     * Get the files changed by a push by comparing the commit before the push with the pushed one
+     * @async  _getPushComparisonFiles
+     * @param  {Object}   config
+     * @param  {Object}   config.webhookConfig      The parsed push event, with beforeSha and sha
+     * @param  {String}   config.token              Service token to authenticate with Github
+     * @param  {Object}   [config.scmRepo]          The SCM repo to look up
+     * @param  {String}   config.scmUri             The scmUri of the repository
+     * @return {Promise}                            Resolves to the list of files as returned by GitHub,
+     *                                              or null if GitHub left out some of them
+     */
+    async _getPushComparisonFiles({ webhookConfig, token, scmRepo, scmUri }) {
+        const lookupConfig = {
+            scmUri,
+            token
+        };
+
+        if (scmRepo) {
+            lookupConfig.scmRepo = scmRepo;
+        }
+        const scmInfo = await this.lookupScmUri(lookupConfig);
+
+        const comparison = await this.breaker.runCommand({
+            action: 'compareCommits',
+            token,
+            params: {
+                owner: scmInfo.owner,
+                repo: scmInfo.repo,
+                base: webhookConfig.beforeSha,
+                head: webhookConfig.sha
+            }
+        });
+
+        const { files } = comparison.data;
+
+        // The files cover the whole comparison even when its commits are paginated, but are cut off at the limit
+        if (files.length >= COMPARE_FILES_LIMIT) {
+            logger.warn(
+                `Comparison of ${webhookConfig.beforeSha}...${webhookConfig.sha} lists only the first ${files.length} files`
+            );
+
+            return null;
+        }
+
+        return files;
+    }
+
+    /**
+     * Get the changed files from a Github event
+     * @async  _getChangedFiles
+     * @param  {Object}   config
+     * @param  {String}   config.type               Can be 'pr' or 'repo'
+     * @param  {Object}   [config.webhookConfig]    The webhook payload received from the SCM service.
+     * @param  {String}   config.token              Service token to authenticate with Github
+     * @param  {Object}   [config.scmRepo]          The SCM repo to look up
+     * @param  {String}   [config.scmUri]           The scmUri to get PR info of, or to compare truncated pushes in
+     * @param  {Integer}  [config.prNum]            The PR number
+     * @return {Promise}                            Resolves to an array of filenames of the changed files,
+     *                                              or null if a push changed too many files to list them all
+     */
+    async _getChangedFiles({ type, webhookConfig, token, scmRepo, scmUri, prNum }) {
+        if (type === 'pr') {
+            try {
+                const files = await this._getPrFiles({ token, scmRepo, scmUri, prNum });
 
                 return files.map(file => file.filename);
             } catch (err) {
@@ -1831,6 +3149,29 @@ class GithubScm extends Scm {
         }
 
         if (type === 'repo') {
+            const beforeSha = hoek.reach(webhookConfig, 'beforeSha');
+
+            if (hoek.reach(webhookConfig, 'commitsTruncated') && beforeSha && !EMPTY_SHA_REGEX.test(beforeSha)) {
+                try {
+                    const files = await this._getPushComparisonFiles({ webhookConfig, token, scmRepo, scmUri });
+
+                    if (!files) {
+                        return null;
+                    }
+
+                    return [
+                        ...new Set(
+                            files.flatMap(file =>
+                                file.previous_filename ? [file.filename, file.previous_filename] : [file.filename]
+                            )
+                        )
+                    ];
+                } catch (err) {
+                    // Fall back to the files of the commits in the payload
+                    logger.error('Failed to compare pushed commits: ', sanitizeError(err));
+                }
+            }
+
             const options = { default: [] };
             const added = hoek.reach(webhookConfig, 'addedFiles', options);
             const modified = hoek.reach(webhookConfig, 'modifiedFiles', options);
@@ -1843,6 +3184,304 @@ class GithubScm extends Scm {
         return [];
     }
 
+    /**
+     * Get the changed files from a Github event with their status, previous name of renamed files
+     * and line counts. Line counts are null when they cannot be fetched for a push.
+     * @async  getChangedFileDetails
+     * @param  {Object}   config
+     * @param  {String}   config.type               Can be 'pr' or 'repo'
+     * @param  {Object}   [config.webhookConfig]    The parsed push event
+     * @param  {String}   config.token              Service token to authenticate with Github
+     * @param  {Object}   [config.scmRepo]          The SCM repo to look up
+     * @param  {String}   [config.scmUri]           The scmUri of the repository
+     * @param  {Integer}  [config.prNum]            The PR number
+     * @return {Promise}                            Resolves to an array of { filename, status, previousFilename, additions, deletions },
+     *                                              or null if a push changed too many files to list them all
+     */
+    async getChangedFileDetails({ type, webhookConfig, token, scmRepo, scmUri, prNum }) {
+        const toChangedFile = file => ({
+            filename: file.filename,
+            status: file.status,
+            previousFilename: file.previous_filename || null,
+            additions: file.additions,
+            deletions: file.deletions
+        });
+
+        if (type === 'pr') {
+            try {
+                const files = await this._getPrFiles({ token, scmRepo, scmUri, prNum });
+
+                return files.map(toChangedFile);
+            } catch (err) {
+                logger.error('Failed to getChangedFileDetails: ', sanitizeError(err));
+
+                return [];
+            }
+        }
+
+        if (type === 'repo') {
+            const beforeSha = hoek.reach(webhookConfig, 'beforeSha');
+
+            if (beforeSha && !EMPTY_SHA_REGEX.test(beforeSha)) {
+                try {
+                    const files = await this._getPushComparisonFiles({ webhookConfig, token, scmRepo, scmUri });
+
+                    return files ? files.map(toChangedFile) : null;
+                } catch (err) {
+                    // Fall back to the files of the commits in the payload
+                    logger.error('Failed to compare pushed commits: ', sanitizeError(err));
+                }
+            }
+
+            const changedFiles = new Map();
+            const options = { default: [] };
+
+            // A file added by one pushed commit and changed by a later one is still an added file
+            [
+                ['added', hoek.reach(webhookConfig, 'addedFiles', options)],
+                ['removed', hoek.reach(webhookConfig, 'removedFiles', options)],
+                ['modified', hoek.reach(webhookConfig, 'modifiedFiles', options)]
+            ].forEach(([status, filenames]) =>
+                filenames
+                    .filter(filename => !changedFiles.has(filename))
+                    .forEach(filename =>
+                        changedFiles.set(filename, {
+                            filename,
+                            status,
+                            previousFilename: null,
+                            additions: null,
+                            deletions: null
+                        })
+                    )
+            );
+
+            return [...changedFiles.values()];
+        }
+
+        return [];
+    }
+
+    /**
+     * Parse a push of a tag. The push is sent with the sha of the tag object for annotated tags,
+     * the commit it points to is the head commit.
+     * @async  _parseTagPushHook
+     * @param  {Object}  payload  Parsed push webhook payload
+     * @return {Promise}          Resolves to the tag event data, or null if the tag was deleted
+     */
+    async _parseTagPushHook(payload) {
+        const tagName = hoek.reach(payload, 'ref').replace(/^refs\/tags\//, '');
+        const tagSha = hoek.reach(payload, 'after');
+        const sha = hoek.reach(payload, 'head_commit.id');
+
+        if (hoek.reach(payload, 'deleted')) {
+            return null;
+        }
+
+        const tagAnnotated = tagSha !== sha;
+        let tagger = null;
+
+        if (tagAnnotated) {
+            const scmInfo = {
+                owner: hoek.reach(payload, 'repository.owner.login') || hoek.reach(payload, 'repository.owner.name'),
+                repo: hoek.reach(payload, 'repository.name')
+            };
+
+            try {
+                const tag = await this.breaker.runCommand({
+                    action: 'getTag',
+                    scopeType: 'git',
+                    token: (await this._getAppToken(scmInfo)) || this.config.commentUserToken,
+                    params: { ...scmInfo, tag_sha: tagSha }
+                });
+
+                tagger = { name: tag.data.tagger.name, email: tag.data.tagger.email };
+            } catch (err) {
+                // The tag is still worth building without knowing who made it
+                logger.warn(`Failed to get tagger of ${tagName}: `, sanitizeError(err));
+            }
+        }
+
+        return {
+            action: 'tag',
+            branch: hoek.reach(payload, 'repository.default_branch'),
+            sha,
+            type: 'repo',
+            username: hoek.reach(payload, 'sender.login'),
+            ref: tagName,
+            lastCommitMessage: hoek.reach(payload, 'head_commit.message') || '',
+            tagAnnotated,
+            tagger
+        };
+    }
+
+    /**
+     * Get the pull requests of a merge group from the commits between its base and head.
+     * Each pull request of the group is merged or squashed into one commit naming its number,
+     * rebased pull requests can not be told apart and only the one of the branch is known then.
+     * @async  _getMergeGroupPrNums
+     * @param  {Object}  payload  Parsed merge_group webhook payload
+     * @param  {Array}   prNums   Pull requests known from the branch of the merge group
+     * @return {Promise}          Resolves to the numbers of the pull requests, in queue order
+     */
+    async _getMergeGroupPrNums(payload, prNums) {
+        const scmInfo = {
+            owner: hoek.reach(payload, 'repository.owner.login'),
+            repo: hoek.reach(payload, 'repository.name')
+        };
+        const base = hoek.reach(payload, 'merge_group.base_sha');
+        const head = hoek.reach(payload, 'merge_group.head_sha');
+
+        try {
+            const token = (await this._getAppToken(scmInfo)) || this.config.commentUserToken;
+
+            if (!token) {
+                logger.info(`No token to compare merge group ${base}...${head}, only its branch names a pull request`);
+
+                return prNums;
+            }
+
+            const comparison = await this.breaker.runCommand({
+                action: 'compareCommits',
+                token,
+                params: { ...scmInfo, base, head }
+            });
+            const merged = comparison.data.commits
+                .map(commit => MERGED_PR_COMMIT_REGEX.exec(commit.commit.message.split('\n')[0]))
+                .filter(matched => matched)
+                .map(matched => parseInt(matched[1] || matched[2], 10));
+
+            return [...new Set([...merged, ...prNums])];
+        } catch (err) {
+            logger.warn(`Failed to compare merge group ${base}...${head}: `, sanitizeError(err));
+
+            return prNums;
+        }
+    }
+
+    /**
+     * Parse a Screwdriver command like `/sd restart PR:test` from a pull request comment.
+     * The command is only returned if the commenter has push permission on the repository.
+     * @async  _parsePrCommentHook
+     * @param  {Object}  payload  Parsed issue_comment webhook payload
+     * @return {Promise}          Resolves to the command event data, or null if there is nothing to run
+     */
+    async _parsePrCommentHook(payload) {
+        const action = hoek.reach(payload, 'action');
+        const body = hoek.reach(payload, 'comment.body') || '';
+        const matched = PR_COMMENT_COMMAND_REGEX.exec(body);
+
+        // Issue comments are sent for both issues and pull requests
+        if (action !== 'created' || !hoek.reach(payload, 'issue.pull_request') || !matched) {
+            return null;
+        }
+
+        const prNum = hoek.reach(payload, 'issue.number');
+        const commenter = hoek.reach(payload, 'comment.user.login');
+        const scmInfo = {
+            owner: hoek.reach(payload, 'repository.owner.login'),
+            repo: hoek.reach(payload, 'repository.name')
+        };
+        const token = (await this._getAppToken(scmInfo)) || this.config.commentUserToken;
+
+        if (!token) {
+            logger.info(`No token to check the permission of ${commenter}, ignoring the command on PR ${prNum}`);
+
+            return null;
+        }
+
+        const host = this.config.gheHost || 'github.com';
+        const defaultBranch = hoek.reach(payload, 'repository.default_branch');
+        const permissions = await this._getPermissions({
+            scmUri: `${host}:${hoek.reach(payload, 'repository.id')}:${defaultBranch}`,
+            scmRepo: { name: hoek.reach(payload, 'repository.full_name'), branch: defaultBranch },
+            token,
+            username: commenter
+        });
+
+        if (!permissions.push) {
+            logger.info(`${commenter} has no push permission to run "${matched[0].trim()}" on PR ${prNum}`);
+
+            return null;
+        }
+
+        try {
+            const pullRequest = await this.breaker.runCommand({
+                action: 'get',
+                scopeType: 'pulls',
+                token,
+                params: { ...scmInfo, pull_number: prNum }
+            });
+            const { head, base } = pullRequest.data;
+            const ref = `pull/${prNum}/merge`;
+
+            return {
+                action: 'command',
+                branch: base.ref,
+                prNum,
+                prRef: ref,
+                ref,
+                prSource: head.repo && head.repo.id === base.repo.id ? 'branch' : 'fork',
+                sha: head.sha,
+                type: 'comment',
+                username: commenter,
+                commentId: hoek.reach(payload, 'comment.id'),
+                command: {
+                    name: matched[1],
+                    args: matched[2].split(/\s+/).filter(arg => arg)
+                }
+            };
+        } catch (err) {
+            logger.error('Failed to parse PR comment: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Drop the cached lookups of a repository from the shared cache
+     * @async  _invalidateRepoCache
+     * @param  {Object}  repository  Repository of the webhook payload
+     * @param  {Array}   scopes      Cache scopes to drop the lookups of
+     * @return {Promise}             Resolves when the lookups are dropped, failures are only logged
+     */
+    async _invalidateRepoCache(repository, scopes) {
+        const cachedScopes = scopes.filter(scope => this.config.cache.ttl[scope] > 0);
+
+        if (cachedScopes.length === 0) {
+            return;
+        }
+
+        const tags = [`${repository.id}`, repository.full_name.toLowerCase()];
+
+        try {
+            await Promise.all(
+                cachedScopes.flatMap(scope => tags.map(tag => invalidateBy({ store: this.cacheStore, scope, tag })))
+            );
+
+            logger.info(`Invalidated ${cachedScopes.join(', ')} cache entries of repo ${repository.full_name}`);
+        } catch (err) {
+            logger.warn(`Failed to invalidate cache entries of repo ${repository.full_name}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Parse the webhook and validate the result against the hook schema of this plugin,
+     * which extends the base schema with GitHub specific event types
+     * @async  parseHook
+     * @param  {Object}  headers  The request headers associated with the webhook payload
+     * @param  {String}  payload  The webhook payload received from the SCM service
+     * @return {Promise}          Resolves to the parsed hook, or null if the event is ignored
+     */
+    async parseHook(headers, payload) {
+        const hook = await this._parseHook(headers, payload);
+        const { error } = hookSchema.parseHookOutput.validate(hook);
+
+        if (error) {
+            throw error;
+        }
+
+        return hook;
+    }
+
     /**
      * Given a SCM webhook payload & its associated headers, aggregate the
      * necessary data to execute a Screwdriver job with.
@@ -1868,8 +3507,11 @@ class GithubScm extends Scm {
             throwError('Missing webhook signature', 400);
         }
 
-        // eslint-disable-next-line no-underscore-dangle
-        if (!(await verify(this.config.secret, webhookPayload, signature))) {
+        const verified = await Promise.all(
+            this._getWebhookSecrets().map(secret => verify(secret, webhookPayload, signature))
+        );
+
+        if (!verified.includes(true)) {
             throwError('Invalid webhook signature', 400);
         }
 
@@ -1892,6 +3534,12 @@ class GithubScm extends Scm {
             }
         }
 
+        const invalidatedScopes = getInvalidatedCacheScopes(type, parsedWebhookPayload);
+
+        if (invalidatedScopes.length > 0) {
+            await this._invalidateRepoCache(hoek.reach(parsedWebhookPayload, 'repository'), invalidatedScopes);
+        }
+
         switch (type) {
             case 'pull_request': {
                 let action = hoek.reach(parsedWebhookPayload, 'action');
@@ -1902,11 +3550,13 @@ class GithubScm extends Scm {
                 const prMerged = hoek.reach(parsedWebhookPayload, 'pull_request.merged');
                 const prSource = baseSource === headSource ? 'branch' : 'fork';
                 const ref = `pull/${prNum}/merge`;
+                const prBaseBranchFrom = hoek.reach(parsedWebhookPayload, 'changes.base.ref.from');
+                const extra = {};
 
                 // Possible actions
-                // "opened", "closed", "reopened", "synchronize",
+                // "opened", "closed", "reopened", "synchronize", "ready_for_review", "converted_to_draft",
                 // "assigned", "unassigned", "labeled", "unlabeled", "edited"
-                if (!['opened', 'reopened', 'synchronize', 'closed'].includes(action)) {
+                if (!PERMITTED_PR_EVENT.includes(action)) {
                     return null;
                 }
 
@@ -1914,7 +3564,21 @@ class GithubScm extends Scm {
                     action = 'synchronized';
                 }
 
+                // Only changes of the base branch matter, not of the title or body
+                if (action === 'edited') {
+                    if (!prBaseBranchFrom) {
+                        return null;
+                    }
+
+                    extra.prBaseBranchFrom = prBaseBranchFrom;
+                }
+
+                if (action === 'labeled' || action === 'unlabeled') {
+                    extra.label = hoek.reach(parsedWebhookPayload, 'label.name');
+                }
+
                 return {
+                    ...extra,
                     action,
                     branch: hoek.reach(parsedWebhookPayload, 'pull_request.base.ref'),
                     checkoutUrl,
@@ -1928,7 +3592,11 @@ class GithubScm extends Scm {
                     username: hoek.reach(parsedWebhookPayload, 'sender.login'),
                     hookId,
                     scmContext,
-                    prMerged
+                    prMerged,
+                    prDraft: hoek.reach(parsedWebhookPayload, 'pull_request.draft') || false,
+                    prLabels: hoek
+                        .reach(parsedWebhookPayload, 'pull_request.labels', { default: [] })
+                        .map(label => label.name)
                 };
             }
             case 'push': {
@@ -1936,7 +3604,9 @@ class GithubScm extends Scm {
 
                 // repository tag pushed
                 if (ref.startsWith('refs/tags/')) {
-                    return null;
+                    const tagEvent = await this._parseTagPushHook(parsedWebhookPayload);
+
+                    return tagEvent ? { ...tagEvent, checkoutUrl, hookId, scmContext } : null;
                 }
 
                 if (Array.isArray(commits)) {
@@ -1945,12 +3615,24 @@ class GithubScm extends Scm {
                     });
                 }
 
+                // The branch is gone, there is no commit to build but its resources can be cleaned up
                 if (deleted) {
-                    return null;
+                    return {
+                        action: 'branchDeleted',
+                        branch: ref.replace(/^refs\/heads\//, ''),
+                        checkoutUrl,
+                        sha: hoek.reach(parsedWebhookPayload, 'before'),
+                        type: 'repo',
+                        username: hoek.reach(parsedWebhookPayload, 'sender.login'),
+                        hookId,
+                        scmContext,
+                        ref
+                    };
                 }
 
                 return {
-                    action: 'push',
+                    // The first push of a branch reports its creation, its commits are built like those of any push
+                    action: hoek.reach(parsedWebhookPayload, 'created') ? 'branchCreated' : 'push',
                     branch: hoek.reach(parsedWebhookPayload, 'ref').replace(/^refs\/heads\//, ''),
                     checkoutUrl,
                     sha: hoek.reach(parsedWebhookPayload, 'after'),
@@ -1961,15 +3643,19 @@ class GithubScm extends Scm {
                     hookId,
                     scmContext,
                     ref: hoek.reach(parsedWebhookPayload, 'ref'),
-                    addedFiles: hoek.reach(parsedWebhookPayload, 'head_commit.added', { default: [] }),
-                    modifiedFiles: hoek.reach(parsedWebhookPayload, 'head_commit.modified', { default: [] }),
-                    removedFiles: hoek.reach(parsedWebhookPayload, 'head_commit.removed', { default: [] })
+                    ...getPushedFiles(parsedWebhookPayload),
+                    beforeSha: hoek.reach(parsedWebhookPayload, 'before'),
+                    // The commit list only holds the latest commits, and misses rewritten ones on forced pushes
+                    commitsTruncated:
+                        (Array.isArray(commits) && commits.length >= PUSH_COMMITS_LIMIT) ||
+                        hoek.reach(parsedWebhookPayload, 'forced') === true
                 };
             }
             case 'release': {
                 const action = hoek.reach(parsedWebhookPayload, 'action');
+                const release = hoek.reach(parsedWebhookPayload, 'release');
 
-                if (!PERMITTED_RELEASE_EVENT.includes(action)) {
+                if (!this.config.releaseActions.includes(action)) {
                     return null;
                 }
 
@@ -1984,30 +3670,76 @@ class GithubScm extends Scm {
                     ref: hoek.reach(parsedWebhookPayload, 'release.tag_name'),
                     releaseId: hoek.reach(parsedWebhookPayload, 'release.id').toString(),
                     releaseName: hoek.reach(parsedWebhookPayload, 'release.name') || '',
-                    releaseAuthor: hoek.reach(parsedWebhookPayload, 'release.author.login') || ''
+                    releaseAuthor: hoek.reach(parsedWebhookPayload, 'release.author.login') || '',
+                    releaseAction: action,
+                    releasePrerelease: release.prerelease,
+                    releaseDraft: release.draft,
+                    releaseTargetCommitish: release.target_commitish,
+                    releaseBody: release.body || '',
+                    releaseAssets: (release.assets || []).map(asset => ({
+                        id: asset.id,
+                        name: asset.name,
+                        contentType: asset.content_type,
+                        size: asset.size,
+                        url: asset.browser_download_url
+                    }))
                 };
             }
             case 'create': {
-                const refType = hoek.reach(parsedWebhookPayload, 'ref_type');
+                // GitHub sends a push event for every branch and tag created, with the sha the create event lacks
+                logger.info(
+                    'Ignoring create event of %s %s, it is parsed from its push event',
+                    hoek.reach(parsedWebhookPayload, 'ref_type'),
+                    hoek.reach(parsedWebhookPayload, 'ref')
+                );
+
+                return null;
+            }
+
+            case 'issue_comment': {
+                const commentEvent = await this._parsePrCommentHook(parsedWebhookPayload);
+
+                return commentEvent ? { ...commentEvent, checkoutUrl, hookId, scmContext } : null;
+            }
+            case 'check_run':
+            case 'check_suite': {
+                const checkEvent = parseCheckEvent(type, parsedWebhookPayload);
+
+                if (!checkEvent) {
+                    return null;
+                }
+
+                return {
+                    ...checkEvent,
+                    checkoutUrl,
+                    username: hoek.reach(parsedWebhookPayload, 'sender.login'),
+                    hookId,
+                    scmContext
+                };
+            }
 
-                if (refType !== 'tag') {
-                    logger.info('%s event of %s is not available yet in scm-github plugin', type, refType);
+            case 'merge_group': {
+                const mergeGroupEvent = parseMergeGroupEvent(parsedWebhookPayload);
 
+                if (!mergeGroupEvent) {
                     return null;
                 }
 
                 return {
-                    action: 'tag',
-                    branch: hoek.reach(parsedWebhookPayload, 'repository.default_branch'),
+                    ...mergeGroupEvent,
+                    prNums: await this._getMergeGroupPrNums(parsedWebhookPayload, mergeGroupEvent.prNums),
                     checkoutUrl,
-                    type: 'repo',
                     username: hoek.reach(parsedWebhookPayload, 'sender.login'),
                     hookId,
-                    scmContext,
-                    ref: hoek.reach(parsedWebhookPayload, 'ref')
+                    scmContext
                 };
             }
 
+            // Only relevant to invalidate cached lookups, see getInvalidatedCacheScopes
+            case 'repository':
+            case 'member':
+                return null;
+
             default:
                 logger.info('%s event is not available yet in scm-github plugin', type);
 
@@ -2160,6 +3892,29 @@ class GithubScm extends Scm {
         });
     }
 
+    /**
+     * Add a PR comment, with the GitHub App installation token if no token is given
+     * @async  addPrComment
+     * @param  {Object}     config        Same as _addPrComment, with an optional token
+     * @return {Promise}                  Resolves to the added comments
+     */
+    async addPrComment(config) {
+        const { error } = this._getInputSchema(schema.plugins.scm.addPrComment).validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        const prComments = await this._addPrComment(this.getConfig(config));
+        const { error: outputError } = PR_COMMENTS_SCHEMA.validate(prComments);
+
+        if (outputError) {
+            throw outputError;
+        }
+
+        return prComments;
+    }
+
     /**
      * Add a PR comment
      * @async  _addPrComment
@@ -2167,7 +3922,7 @@ class GithubScm extends Scm {
      * @param  {Array}      config.comments    The PR comments
      * @param  {Integer}    config.prNum       The PR number
      * @param  {String}     config.scmUri      The SCM URI
-     * @param  {String}     config.token       Service token to authenticate with Github
+     * @param  {String}     [config.token]     Service token to authenticate with Github, the App token by default
      * @param  {Object}    [config.scmRepo]   The SCM repo to look up
      * @return {Promise}                       Resolves when complete
      */
@@ -2182,28 +3937,27 @@ class GithubScm extends Scm {
         }
 
         const scmInfo = await this.lookupScmUri(lookupConfig);
-        const prComments = await this.prComments(scmInfo, prNum, token);
+        const authToken = token || (await this._getAppToken(scmInfo));
+        const prComments = await this.prComments(scmInfo, prNum, authToken);
         const prCommentData = [];
 
         for (const comment of comments) {
             let botComment;
 
             if (prComments) {
-                botComment = prComments.comments.find(
-                    commentObj =>
-                        commentObj.user.login === this.config.username &&
-                        commentObj.body.split(/\n/)[0].match(PR_COMMENTS_REGEX) &&
-                        commentObj.body.split(/\n/)[0].match(PR_COMMENTS_REGEX)[1] === pipelineId.toString() &&
-                        commentObj.body.split(/\n/)[0].match(PR_COMMENTS_REGEX)[2] === jobName &&
-                        (!comment.keyword ||
-                            (commentObj.body.split(/\n/)[3].match(PR_COMMENTS_KEYWORD_REGEX) &&
-                                commentObj.body.split(/\n/)[3].match(PR_COMMENTS_KEYWORD_REGEX)[1] === comment.keyword))
+                botComment = prComments.comments.find(commentObj =>
+                    isBuildComment(commentObj, this.config.username, { pipelineId, jobName, keyword: comment.keyword })
                 );
             }
 
-            if (botComment) {
+            if (botComment && !this.config.collapseSupersededComments) {
                 try {
-                    const pullRequestComment = await this.editPrComment(botComment.id, scmInfo, comment.text);
+                    const pullRequestComment = await this.editPrComment(
+                        botComment.id,
+                        scmInfo,
+                        comment.text,
+                        authToken
+                    );
 
                     prCommentData.push({
                         commentId: `${pullRequestComment.data.id}`,
@@ -2218,7 +3972,7 @@ class GithubScm extends Scm {
                     const pullRequestComment = await this.breaker.runCommand({
                         action: 'createComment',
                         scopeType: 'issues',
-                        token: this.config.commentUserToken, // need to use a token with public_repo permissions
+                        token: this.config.commentUserToken || authToken, // need to use a token with public_repo permissions
                         params: {
                             body: comment.text,
                             issue_number: prNum,
@@ -2232,6 +3986,11 @@ class GithubScm extends Scm {
                         createTime: `${pullRequestComment.data.created_at}`,
                         username: pullRequestComment.data.user.login
                     });
+
+                    // Older comments were minimized when the previous one was posted
+                    if (botComment) {
+                        await this._removePrComments(scmInfo, [botComment], { minimize: true, token: authToken });
+                    }
                 } catch (err) {
                     logger.error('Failed to addPRComment: ', sanitizeError(err));
                 }
@@ -2242,22 +4001,230 @@ class GithubScm extends Scm {
     }
 
     /**
-     * Get an array of scm context (e.g. github:github.com)
-     * @method _getScmContexts
-     * @return {Array}          Array of scm contexts
+     * Delete, or minimize as outdated, the Screwdriver build comments of a pipeline on a PR
+     * @async  removePrComments
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri            The SCM URI
+     * @param  {String}     [config.token]           Service token to authenticate with Github
+     * @param  {Object}     [config.scmRepo]         The SCM repo to look up
+     * @param  {Integer}    config.prNum             The PR number
+     * @param  {String}     config.pipelineId        Id of the pipeline the comments were posted for
+     * @param  {String}     [config.jobName]         Only comments of this job
+     * @param  {String}     [config.keyword]         Only comments with this keyword
+     * @param  {Boolean}    [config.minimize=false]  Minimize the comments as outdated instead of deleting them
+     * @return {Promise}                             Resolves to { removed, failed } lists of comment ids
      */
-    _getScmContexts() {
-        let contextName = this.config.gheHost ? [`github:${this.config.gheHost}`] : ['github:github.com'];
+    async removePrComments({ scmUri, token, scmRepo, prNum, pipelineId, jobName, keyword, minimize = false }) {
+        const lookupConfig = {
+            scmUri,
+            token
+        };
 
-        if (this.config.gheCloudContext) {
-            contextName = [this.config.gheCloudContext];
+        if (scmRepo) {
+            lookupConfig.scmRepo = scmRepo;
         }
 
-        return contextName;
-    }
+        const scmInfo = await this.lookupScmUri(lookupConfig);
+        const authToken = token || (await this._getAppToken(scmInfo));
+        const prComments = await this.prComments(scmInfo, prNum, authToken);
 
-    /**
-     * Determine if an scm module can handle the received webhook
+        if (!prComments) {
+            throwError(`Failed to fetch comments of PR ${prNum}`);
+        }
+
+        const buildComments = prComments.comments.filter(comment =>
+            isBuildComment(comment, this.config.username, { pipelineId, jobName, anyJob: !jobName, keyword })
+        );
+
+        return this._removePrComments(scmInfo, buildComments, { minimize, token: authToken });
+    }
+
+    /**
+     * Delete, or minimize as outdated, PR comments
+     * @async  _removePrComments
+     * @param  {Object}     scmInfo             The information regarding SCM like repo, owner
+     * @param  {Array}      comments            Comments as returned by prComments
+     * @param  {Object}     options
+     * @param  {Boolean}    options.minimize    Minimize the comments as outdated instead of deleting them
+     * @param  {String}     [options.token]     Token used when no commentUserToken is configured
+     * @return {Promise}                        Resolves to { removed, failed } lists of comment ids
+     */
+    async _removePrComments(scmInfo, comments, { minimize, token }) {
+        const removed = [];
+        const failed = [];
+
+        await Promise.all(
+            comments.map(async comment => {
+                try {
+                    if (minimize) {
+                        await this.breaker.runCommand({
+                            scopeType: 'graphql',
+                            route: MINIMIZE_COMMENT_MUTATION,
+                            token: this.config.commentUserToken || token, // comments are posted with this token
+                            params: { subjectId: comment.node_id }
+                        });
+                    } else {
+                        await this.breaker.runCommand({
+                            action: 'deleteComment',
+                            scopeType: 'issues',
+                            token: this.config.commentUserToken || token,
+                            params: {
+                                owner: scmInfo.owner,
+                                repo: scmInfo.repo,
+                                comment_id: comment.id
+                            }
+                        });
+                    }
+
+                    removed.push(`${comment.id}`);
+                } catch (err) {
+                    logger.error(`Failed to ${minimize ? 'minimize' : 'delete'} PR comment: `, sanitizeError(err));
+                    failed.push(`${comment.id}`);
+                }
+            })
+        );
+
+        return { removed, failed };
+    }
+
+    /**
+     * Submit a pull request review with inline comments on the head sha of the PR.
+     * GitHub rejects a whole review if one comment is outside the diff, so those comments are skipped.
+     * Comments the bot already posted on the same line are skipped too, and no review is submitted if none are left.
+     * @async  addPrReview
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri              The SCM URI
+     * @param  {String}     [config.token]             Service token to authenticate with Github
+     * @param  {Object}     [config.scmRepo]           The SCM repo to look up
+     * @param  {Integer}    config.prNum               The PR number
+     * @param  {Array}      config.comments            Inline comments with path, line, optional startLine and body
+     * @param  {String}     [config.body]              Markdown body of the review
+     * @param  {String}     [config.event=COMMENT]     COMMENT, or REQUEST_CHANGES to block merging
+     * @return {Promise}                               Resolves to { reviewId, state, comments, outsideDiff } with the
+     *                                                 number of posted comments and of comments outside the diff,
+     *                                                 or null if no comment is left to post
+     */
+    async addPrReview({ scmUri, token, scmRepo, prNum, comments, body, event = 'COMMENT' }) {
+        if (!PR_REVIEW_EVENTS.includes(event)) {
+            throwError(`Invalid review event ${event}, expected one of ${PR_REVIEW_EVENTS.join(', ')}`, 400);
+        }
+
+        const lookupConfig = {
+            scmUri,
+            token
+        };
+
+        if (scmRepo) {
+            lookupConfig.scmRepo = scmRepo;
+        }
+
+        const { owner, repo } = await this.lookupScmUri(lookupConfig);
+        const authToken = token || (await this._getAppToken({ owner, repo }));
+        const reviewToken = this.config.commentUserToken || authToken; // reviews are posted as the comment user
+
+        try {
+            const pullRequest = await this.breaker.runCommand({
+                action: 'get',
+                scopeType: 'pulls',
+                token: authToken,
+                params: { owner, repo, pull_number: prNum }
+            });
+            const [files, postedComments] = await Promise.all([
+                this.breaker.runCommand({
+                    scopeType: 'paginate',
+                    route: 'GET /repos/:owner/:repo/pulls/:pull_number/files',
+                    token: authToken,
+                    params: { owner, repo, pull_number: prNum, per_page: PR_FILES_PAGE_SIZE }
+                }),
+                this.breaker.runCommand({
+                    scopeType: 'paginate',
+                    route: 'GET /repos/:owner/:repo/pulls/:pull_number/comments',
+                    token: authToken,
+                    params: { owner, repo, pull_number: prNum, per_page: PR_COMMENTS_PAGE_SIZE }
+                })
+            ]);
+            const diffLines = new Map(files.map(file => [file.filename, getDiffLines(file.patch)]));
+            // Lines are not tracked across pushes, a comment moved by a push is posted again at its new line
+            const postedKeys = new Set(
+                postedComments
+                    .filter(comment => hoek.reach(comment, 'user.login') === this.config.username)
+                    .map(comment => JSON.stringify([comment.path, comment.line, comment.body]))
+            );
+            const diffComments = comments.filter(({ path, line, startLine }) => {
+                const lines = diffLines.get(path);
+                const hunk = lines && lines.get(line);
+
+                return hunk !== undefined && (!startLine || startLine >= line || lines.get(startLine) === hunk);
+            });
+            const outsideDiff = comments.length - diffComments.length;
+
+            if (outsideDiff > 0) {
+                logger.info(`Skipped ${outsideDiff} review comments outside the diff of PR ${owner}/${repo}#${prNum}`);
+            }
+
+            const newComments = diffComments
+                .filter(comment => !postedKeys.has(JSON.stringify([comment.path, comment.line, comment.body])))
+                .map(comment => {
+                    const reviewComment = { path: comment.path, line: comment.line, side: 'RIGHT', body: comment.body };
+
+                    if (comment.startLine && comment.startLine < comment.line) {
+                        reviewComment.start_line = comment.startLine;
+                        reviewComment.start_side = 'RIGHT';
+                    }
+
+                    return reviewComment;
+                });
+
+            if (newComments.length === 0) {
+                logger.info(`No review comments left to post on PR ${owner}/${repo}#${prNum}`);
+
+                return null;
+            }
+
+            const review = await this.breaker.runCommand({
+                action: 'createReview',
+                scopeType: 'pulls',
+                token: reviewToken,
+                params: {
+                    owner,
+                    repo,
+                    pull_number: prNum,
+                    commit_id: pullRequest.data.head.sha,
+                    body,
+                    event,
+                    comments: newComments
+                }
+            });
+
+            return {
+                reviewId: `${review.data.id}`,
+                state: review.data.state,
+                comments: newComments.length,
+                outsideDiff
+            };
+        } catch (err) {
+            logger.error('Failed to addPrReview: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Get an array of scm context (e.g. github:github.com)
+     * @method _getScmContexts
+     * @return {Array}          Array of scm contexts
+     */
+    _getScmContexts() {
+        let contextName = this.config.gheHost ? [`github:${this.config.gheHost}`] : ['github:github.com'];
+
+        if (this.config.gheCloudContext) {
+            contextName = [this.config.gheCloudContext];
+        }
+
+        return contextName;
+    }
+
+    /**
+     * Determine if an scm module can handle the received webhook
      * @async  _canHandleWebhook
      * @param  {Object}    headers    The request headers associated with the webhook payload
      * @param  {String}    payload    The webhook payload received from the SCM service
@@ -2346,83 +4313,621 @@ class GithubScm extends Scm {
 
     /**
      * Open a pull request on the repository with given file change
+     * @async  openPr
+     * @param  {Object}     config                  Configuration
+     * @param  {String}     config.checkoutUrl      Checkout url to the repo
+     * @param  {String}     config.token            Service token to authenticate with the SCM service
+     * @param  {Array}      config.files            Files to open pull request with: name and content, or name and
+     *                                              deleted: true to remove the file; executable: true sets mode 100755
+     * @param  {String}     config.title            Pull request title
+     * @param  {String}     config.message          Commit message
+     * @param  {String}     [config.body]           Pull request body
+     * @param  {Array}      [config.labels]         Labels to add to the pull request
+     * @param  {Array}      [config.reviewers]      Logins of users to request a review from
+     * @param  {Boolean}    [config.draft]          Open the pull request as a draft
+     * @param  {String}     [config.branch]         Name of the head branch, derived from the title by default
+     * @param  {String}     [config.scmContext]     The scm context name
+     * @return {Promise}                            Resolves to the created or updated pull request
+     */
+    async openPr(config) {
+        // The base schema does not know deleted and executable files, nor the pull request options
+        const { error } = schema.plugins.scm.openPr
+            .keys({
+                files: joi
+                    .array()
+                    .items(
+                        joi.object().keys({
+                            name: joi.string().required(),
+                            content: joi.string().when('deleted', {
+                                is: true,
+                                then: joi.optional(),
+                                otherwise: joi.required()
+                            }),
+                            deleted: joi.boolean().optional(),
+                            executable: joi.boolean().optional()
+                        })
+                    )
+                    .min(1)
+                    .required(),
+                body: joi.string().allow('').optional(),
+                labels: joi.array().items(joi.string()).optional(),
+                reviewers: joi.array().items(joi.string()).optional(),
+                draft: joi.boolean().optional(),
+                branch: joi.string().optional()
+            })
+            .validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        return this._openPr(this.getConfig(config));
+    }
+
+    /**
+     * Open a pull request on the repository with given file change.
+     * All files are written in a single commit through the Git Data API, so the change is atomic.
+     * If the head branch already exists, the commit is pushed onto it and its open pull request,
+     * if any, gets the new title and body, so the same change can be proposed again.
      *
      * @method _openPr
      * @param  {Object}     config                  Configuration
      * @param  {String}     config.checkoutUrl      Checkout url to the repo
      * @param  {String}     config.token            Service token to authenticate with the SCM service
-     * @param  {String}     config.files            Files to open pull request with
+     * @param  {Array}      config.files            Files to open pull request with, see openPr
      * @param  {String}     config.title            Pull request title
-     * @param  {String}     config.message          Pull request message
+     * @param  {String}     config.message          Commit message
+     * @param  {String}     [config.body]           Pull request body
+     * @param  {Array}      [config.labels=[]]      Labels to add to the pull request
+     * @param  {Array}      [config.reviewers=[]]   Logins of users to request a review from
+     * @param  {Boolean}    [config.draft=false]    Open the pull request as a draft
+     * @param  {String}     [config.branch]         Name of the head branch, derived from the title by default
      * @param  {String}     [config.scmContext]     The scm context name
-     * @return {Promise}                            Resolves when operation completed without failure
+     * @return {Promise}                            Resolves to the created or updated pull request
      */
     async _openPr(config) {
-        const { checkoutUrl, token, files, title, message } = config;
+        const { checkoutUrl, token, files, title, message, body, labels = [], reviewers = [], draft = false } = config;
         const [, , owner, repo, branch] = checkoutUrl.match(CHECKOUT_URL_REGEX);
-        const newBranch = title.replace(/ /g, '_');
+        const baseBranchName = branch.slice(1);
+        const newBranch = config.branch || title.replace(/ /g, '_');
 
-        return this.breaker
-            .runCommand({
+        try {
+            const baseBranch = await this.breaker.runCommand({
                 action: 'getBranch',
                 scopeType: 'repos',
                 token,
                 params: {
                     owner,
                     repo,
-                    branch: branch.slice(1)
+                    branch: baseBranchName
                 }
-            })
-            .then(baseBranch =>
-                this.breaker.runCommand({
-                    action: 'createRef',
-                    scopeType: 'git',
+            });
+            const headBranch = await this.breaker
+                .runCommand({
+                    action: 'getBranch',
+                    scopeType: 'repos',
                     token,
                     params: {
                         owner,
                         repo,
-                        ref: `refs/heads/${newBranch}`,
-                        sha: baseBranch.data.commit.sha
+                        branch: newBranch
                     }
                 })
-            )
-            .then(() =>
-                Promise.all(
-                    files.map(file =>
-                        this.breaker.runCommand({
-                            action: 'createOrUpdateFileContents',
-                            scopeType: 'repos',
-                            token,
-                            params: {
-                                owner,
-                                repo,
-                                path: file.name,
-                                branch: newBranch,
-                                message,
-                                content: Buffer.from(file.content).toString('base64')
-                            }
-                        })
-                    )
-                )
-            )
-            .then(() =>
-                this.breaker.runCommand({
-                    action: 'create',
+                .catch(err => {
+                    if (err.statusCode === 404) {
+                        return null;
+                    }
+
+                    throw err;
+                });
+            // Build on top of the existing branch, so earlier commits on it are kept
+            const parent = (headBranch || baseBranch).data.commit;
+            const tree = await Promise.all(
+                files.map(async file => {
+                    const entry = {
+                        path: file.name,
+                        mode: file.executable ? GIT_EXECUTABLE_FILE_MODE : GIT_FILE_MODE,
+                        type: 'blob'
+                    };
+
+                    // A null sha removes the file from the tree
+                    if (file.deleted) {
+                        return { ...entry, sha: null };
+                    }
+
+                    const blob = await this.breaker.runCommand({
+                        action: 'createBlob',
+                        scopeType: 'git',
+                        token,
+                        params: {
+                            owner,
+                            repo,
+                            content: Buffer.from(file.content).toString('base64'),
+                            encoding: 'base64'
+                        }
+                    });
+
+                    return { ...entry, sha: blob.data.sha };
+                })
+            );
+            const newTree = await this.breaker.runCommand({
+                action: 'createTree',
+                scopeType: 'git',
+                token,
+                params: {
+                    owner,
+                    repo,
+                    base_tree: parent.commit.tree.sha,
+                    tree
+                }
+            });
+            const commit = await this.breaker.runCommand({
+                action: 'createCommit',
+                scopeType: 'git',
+                token,
+                params: {
+                    owner,
+                    repo,
+                    message,
+                    tree: newTree.data.sha,
+                    parents: [parent.sha]
+                }
+            });
+
+            // createRef takes the full ref name, updateRef the one without refs/
+            await this.breaker.runCommand({
+                action: headBranch ? 'updateRef' : 'createRef',
+                scopeType: 'git',
+                token,
+                params: {
+                    owner,
+                    repo,
+                    ref: headBranch ? `heads/${newBranch}` : `refs/heads/${newBranch}`,
+                    sha: commit.data.sha
+                }
+            });
+
+            const pr = await this._createOrUpdatePr({
+                owner,
+                repo,
+                token,
+                head: newBranch,
+                base: baseBranchName,
+                title,
+                body,
+                draft,
+                exists: !!headBranch
+            });
+
+            if (labels.length) {
+                await this.breaker.runCommand({
+                    action: 'addLabels',
+                    scopeType: 'issues',
+                    token,
+                    params: {
+                        owner,
+                        repo,
+                        issue_number: pr.data.number,
+                        labels
+                    }
+                });
+            }
+
+            if (reviewers.length) {
+                await this.breaker.runCommand({
+                    action: 'requestReviewers',
                     scopeType: 'pulls',
                     token,
                     params: {
                         owner,
                         repo,
-                        title,
-                        head: `${owner}:${newBranch}`,
-                        base: branch.slice(1)
+                        pull_number: pr.data.number,
+                        reviewers
                     }
-                })
-            )
-            .catch(err => {
-                logger.error('Failed to openPr: ', sanitizeError(err));
-                throw err;
+                });
+            }
+
+            return pr;
+        } catch (err) {
+            logger.error('Failed to openPr: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Update the open pull request of a head branch, or open one if there is none
+     * @method _createOrUpdatePr
+     * @param  {Object}     config
+     * @param  {String}     config.owner            Owner of the repository
+     * @param  {String}     config.repo             Name of the repository
+     * @param  {String}     config.token            Service token to authenticate with the SCM service
+     * @param  {String}     config.head             Head branch name
+     * @param  {String}     config.base             Base branch name
+     * @param  {String}     config.title            Pull request title
+     * @param  {String}     [config.body]           Pull request body
+     * @param  {Boolean}    config.draft            Open the pull request as a draft
+     * @param  {Boolean}    config.exists           Whether the head branch existed, only then a pull request can be open
+     * @return {Promise}                            Resolves to the created or updated pull request
+     */
+    async _createOrUpdatePr({ owner, repo, token, head, base, title, body, draft, exists }) {
+        const params = { owner, repo, title };
+
+        if (body !== undefined) {
+            params.body = body;
+        }
+
+        if (exists) {
+            const openedPrs = await this.breaker.runCommand({
+                action: 'list',
+                scopeType: 'pulls',
+                token,
+                params: {
+                    owner,
+                    repo,
+                    head: `${owner}:${head}`,
+                    state: 'open'
+                }
+            });
+
+            if (openedPrs.data.length) {
+                return this.breaker.runCommand({
+                    action: 'update',
+                    scopeType: 'pulls',
+                    token,
+                    params: { ...params, pull_number: openedPrs.data[0].number }
+                });
+            }
+        }
+
+        return this.breaker.runCommand({
+            action: 'create',
+            scopeType: 'pulls',
+            token,
+            params: {
+                ...params,
+                head: `${owner}:${head}`,
+                base,
+                ...(draft && { draft })
+            }
+        });
+    }
+
+    /**
+     * Create a release of a tag, creating the tag from targetCommitish if it does not exist
+     * @async  createRelease
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri                   The SCM URI
+     * @param  {String}     [config.token]                  Token to authenticate with Github, the App token by default
+     * @param  {Object}     [config.scmRepo]                The SCM repo to look up
+     * @param  {String}     config.tagName                  Tag of the release
+     * @param  {String}     [config.targetCommitish]        Branch or sha to create the tag from, the default branch if unset
+     * @param  {String}     [config.name]                   Title of the release
+     * @param  {String}     [config.body]                   Markdown description of the release
+     * @param  {Boolean}    [config.draft=false]            Create an unpublished release
+     * @param  {Boolean}    [config.prerelease=false]       Mark the release as a prerelease
+     * @return {Promise}                                    Resolves to the release: { id, tagName, name, url, uploadUrl }
+     */
+    async createRelease(config) {
+        const { error } = CREATE_RELEASE_SCHEMA.validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        return this._createRelease(config);
+    }
+
+    /**
+     * Create a release of a tag, creating the tag from targetCommitish if it does not exist
+     * @async  _createRelease
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri                   The SCM URI
+     * @param  {String}     [config.token]                  Token to authenticate with Github, the App token by default
+     * @param  {Object}     [config.scmRepo]                The SCM repo to look up
+     * @param  {String}     config.tagName                  Tag of the release
+     * @param  {String}     [config.targetCommitish]        Branch or sha to create the tag from, the default branch if unset
+     * @param  {String}     [config.name]                   Title of the release
+     * @param  {String}     [config.body]                   Markdown description of the release
+     * @param  {Boolean}    [config.draft=false]            Create an unpublished release
+     * @param  {Boolean}    [config.prerelease=false]       Mark the release as a prerelease
+     * @return {Promise}                                    Resolves to the release: { id, tagName, name, url, uploadUrl }
+     */
+    async _createRelease({
+        scmUri,
+        token,
+        scmRepo,
+        tagName,
+        targetCommitish,
+        name,
+        body,
+        draft = false,
+        prerelease = false
+    }) {
+        const scmInfo = await this.lookupScmUri({ scmUri, token, scmRepo });
+        const authToken = token || (await this._getAppToken(scmInfo));
+        const params = { owner: scmInfo.owner, repo: scmInfo.repo, tag_name: tagName, draft, prerelease };
+
+        if (targetCommitish) {
+            params.target_commitish = targetCommitish;
+        }
+        if (name !== undefined) {
+            params.name = name;
+        }
+        if (body !== undefined) {
+            params.body = body;
+        }
+
+        try {
+            const release = await this.breaker.runCommand({
+                action: 'createRelease',
+                scopeType: 'repos',
+                token: authToken,
+                params
             });
+
+            return getReleaseInfo(release.data);
+        } catch (err) {
+            logger.error('Failed to createRelease: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Update a release, only the given fields are changed
+     * @async  updateRelease
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri                   The SCM URI
+     * @param  {String}     [config.token]                  Token to authenticate with Github, the App token by default
+     * @param  {Object}     [config.scmRepo]                The SCM repo to look up
+     * @param  {Number}     config.releaseId                Id of the release
+     * @param  {String}     [config.tagName]                Tag of the release
+     * @param  {String}     [config.targetCommitish]        Branch or sha to create the tag from if it does not exist
+     * @param  {String}     [config.name]                   Title of the release
+     * @param  {String}     [config.body]                   Markdown description of the release
+     * @param  {Boolean}    [config.draft]                  Whether the release is unpublished
+     * @param  {Boolean}    [config.prerelease]             Whether the release is a prerelease
+     * @return {Promise}                                    Resolves to the release: { id, tagName, name, url, uploadUrl }
+     */
+    async updateRelease(config) {
+        const { error } = UPDATE_RELEASE_SCHEMA.validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        return this._updateRelease(config);
+    }
+
+    /**
+     * Update a release, only the given fields are changed
+     * @async  _updateRelease
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri                   The SCM URI
+     * @param  {String}     [config.token]                  Token to authenticate with Github, the App token by default
+     * @param  {Object}     [config.scmRepo]                The SCM repo to look up
+     * @param  {Number}     config.releaseId                Id of the release
+     * @param  {String}     [config.tagName]                Tag of the release
+     * @param  {String}     [config.targetCommitish]        Branch or sha to create the tag from if it does not exist
+     * @param  {String}     [config.name]                   Title of the release
+     * @param  {String}     [config.body]                   Markdown description of the release
+     * @param  {Boolean}    [config.draft]                  Whether the release is unpublished
+     * @param  {Boolean}    [config.prerelease]             Whether the release is a prerelease
+     * @return {Promise}                                    Resolves to the release: { id, tagName, name, url, uploadUrl }
+     */
+    async _updateRelease({
+        scmUri,
+        token,
+        scmRepo,
+        releaseId,
+        tagName,
+        targetCommitish,
+        name,
+        body,
+        draft,
+        prerelease
+    }) {
+        const scmInfo = await this.lookupScmUri({ scmUri, token, scmRepo });
+        const authToken = token || (await this._getAppToken(scmInfo));
+        const changes = {
+            tag_name: tagName,
+            target_commitish: targetCommitish,
+            name,
+            body,
+            draft,
+            prerelease
+        };
+        const params = { owner: scmInfo.owner, repo: scmInfo.repo, release_id: releaseId };
+
+        Object.keys(changes)
+            .filter(key => changes[key] !== undefined)
+            .forEach(key => {
+                params[key] = changes[key];
+            });
+
+        try {
+            const release = await this.breaker.runCommand({
+                action: 'updateRelease',
+                scopeType: 'repos',
+                token: authToken,
+                params
+            });
+
+            return getReleaseInfo(release.data);
+        } catch (err) {
+            logger.error('Failed to updateRelease: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Upload a file to a release
+     * @async  uploadReleaseAsset
+     * @param  {Object}         config
+     * @param  {String}         config.scmUri               The SCM URI
+     * @param  {String}         [config.token]              Token to authenticate with Github, the App token by default
+     * @param  {Object}         [config.scmRepo]            The SCM repo to look up
+     * @param  {Number}         config.releaseId            Id of the release
+     * @param  {String}         config.name                 File name of the asset
+     * @param  {Buffer|String}  config.data                 Content of the asset
+     * @param  {String}         [config.contentType=application/octet-stream]  Media type of the asset
+     * @param  {String}         [config.label]              Label shown instead of the file name
+     * @return {Promise}                                    Resolves to the asset: { id, name, contentType, size, url }
+     */
+    async uploadReleaseAsset(config) {
+        const { error } = UPLOAD_RELEASE_ASSET_SCHEMA.validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        return this._uploadReleaseAsset(config);
+    }
+
+    /**
+     * Upload a file to a release
+     * @async  _uploadReleaseAsset
+     * @param  {Object}         config
+     * @param  {String}         config.scmUri               The SCM URI
+     * @param  {String}         [config.token]              Token to authenticate with Github, the App token by default
+     * @param  {Object}         [config.scmRepo]            The SCM repo to look up
+     * @param  {Number}         config.releaseId            Id of the release
+     * @param  {String}         config.name                 File name of the asset
+     * @param  {Buffer|String}  config.data                 Content of the asset
+     * @param  {String}         [config.contentType=application/octet-stream]  Media type of the asset
+     * @param  {String}         [config.label]              Label shown instead of the file name
+     * @return {Promise}                                    Resolves to the asset: { id, name, contentType, size, url }
+     */
+    async _uploadReleaseAsset({
+        scmUri,
+        token,
+        scmRepo,
+        releaseId,
+        name,
+        data,
+        contentType = 'application/octet-stream',
+        label
+    }) {
+        const scmInfo = await this.lookupScmUri({ scmUri, token, scmRepo });
+        const authToken = token || (await this._getAppToken(scmInfo));
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const params = {
+            owner: scmInfo.owner,
+            repo: scmInfo.repo,
+            release_id: releaseId,
+            name,
+            data: content,
+            headers: {
+                'content-type': contentType,
+                'content-length': content.length
+            }
+        };
+
+        if (label) {
+            params.label = label;
+        }
+
+        // Assets are uploaded to a separate host, GitHub Enterprise serves it under /api/uploads
+        if (this.config.gheHost) {
+            params.baseUrl = `${this.config.gheProtocol}://${this.config.gheHost}/api/uploads`;
+        }
+
+        try {
+            const asset = await this.breaker.runCommand({
+                action: 'uploadReleaseAsset',
+                scopeType: 'repos',
+                token: authToken,
+                params
+            });
+
+            return {
+                id: asset.data.id,
+                name: asset.data.name,
+                contentType: asset.data.content_type,
+                size: asset.data.size,
+                url: asset.data.browser_download_url
+            };
+        } catch (err) {
+            logger.error('Failed to uploadReleaseAsset: ', sanitizeError(err));
+            throw err;
+        }
+    }
+
+    /**
+     * Create an annotated tag on a commit
+     * @async  createTag
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri                   The SCM URI
+     * @param  {String}     [config.token]                  Token to authenticate with Github, the App token by default
+     * @param  {Object}     [config.scmRepo]                The SCM repo to look up
+     * @param  {String}     config.tagName                  Name of the tag
+     * @param  {String}     config.sha                      Commit to tag
+     * @param  {String}     config.message                  Tag message
+     * @param  {Object}     [config.tagger]                 Tagger with name, email and optional ISO 8601 date,
+     *                                                      the configured username and email by default
+     * @return {Promise}                                    Resolves to { tagName, sha, tagSha }
+     */
+    async createTag(config) {
+        const { error } = CREATE_TAG_SCHEMA.validate(config);
+
+        if (error) {
+            throw error;
+        }
+
+        return this._createTag(config);
+    }
+
+    /**
+     * Create an annotated tag on a commit
+     * @async  _createTag
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri                   The SCM URI
+     * @param  {String}     [config.token]                  Token to authenticate with Github, the App token by default
+     * @param  {Object}     [config.scmRepo]                The SCM repo to look up
+     * @param  {String}     config.tagName                  Name of the tag
+     * @param  {String}     config.sha                      Commit to tag
+     * @param  {String}     config.message                  Tag message
+     * @param  {Object}     [config.tagger]                 Tagger with name, email and optional ISO 8601 date,
+     *                                                      the configured username and email by default
+     * @return {Promise}                                    Resolves to { tagName, sha, tagSha }
+     */
+    async _createTag({ scmUri, token, scmRepo, tagName, sha, message, tagger }) {
+        const scmInfo = await this.lookupScmUri({ scmUri, token, scmRepo });
+        const authToken = token || (await this._getAppToken(scmInfo));
+
+        try {
+            const tag = await this.breaker.runCommand({
+                action: 'createTag',
+                scopeType: 'git',
+                token: authToken,
+                params: {
+                    owner: scmInfo.owner,
+                    repo: scmInfo.repo,
+                    tag: tagName,
+                    message,
+                    object: sha,
+                    type: 'commit',
+                    tagger: tagger || { name: this.config.username, email: this.config.email }
+                }
+            });
+
+            // The tag object is not reachable until a ref points to it
+            await this.breaker.runCommand({
+                action: 'createRef',
+                scopeType: 'git',
+                token: authToken,
+                params: {
+                    owner: scmInfo.owner,
+                    repo: scmInfo.repo,
+                    ref: `refs/tags/${tagName}`,
+                    sha: tag.data.sha
+                }
+            });
+
+            return { tagName, sha, tagSha: tag.data.sha };
+        } catch (err) {
+            logger.error('Failed to createTag: ', sanitizeError(err));
+            throw err;
+        }
     }
 
     /**
@@ -0,0 +1,66 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { Octokit } = require('@octokit/rest');
+const { Agent, fetch } = require('undici');
+
+class OctokitPool {
+    /**
+     * Bounded pool of Octokit clients keyed by token and base URL, which send their requests
+     * through one keep-alive agent so connections are reused across clients
+     * @param  {Object}  [config]
+     * @param  {Object}  [config.octokitConfig={}]       Options every client is created with, like baseUrl
+     * @param  {Number}  [config.maxClients=100]         Number of clients to keep, least recently used are dropped first
+     * @param  {Number}  [config.maxSockets=50]          Maximum number of sockets to the GitHub API
+     * @param  {Number}  [config.keepAliveTimeout=4000]  Milliseconds an idle socket is kept open
+     */
+    constructor({ octokitConfig = {}, maxClients = 100, maxSockets = 50, keepAliveTimeout = 4000 } = {}) {
+        this.octokitConfig = octokitConfig;
+        this.maxClients = maxClients;
+        this.agent = new Agent({ connections: maxSockets, keepAliveTimeout });
+        this.clients = new Map();
+    }
+
+    /**
+     * Get the client of a token, creating it if it is not pooled yet
+     * @param  {String}  token  Token to authenticate the requests with
+     * @return {Octokit}        Octokit client
+     */
+    get(token) {
+        // Hash the whole token, clients authenticate as whoever they are pooled under
+        const key = createHash('sha256')
+            .update(`${this.octokitConfig.baseUrl || ''}\n${token}`)
+            .digest('hex');
+        let client = this.clients.get(key);
+
+        if (client) {
+            this.clients.delete(key);
+        } else {
+            client = new Octokit({
+                auth: `token ${token}`,
+                ...this.octokitConfig,
+                request: { fetch: (url, options) => fetch(url, { ...options, dispatcher: this.agent }) }
+            });
+        }
+
+        this.clients.set(key, client);
+
+        if (this.clients.size > this.maxClients) {
+            this.clients.delete(this.clients.keys().next().value);
+        }
+
+        return client;
+    }
+
+    /**
+     * Drop all clients and close the sockets of the agent
+     * @return {Promise} Resolves when the sockets are closed
+     */
+    close() {
+        this.clients.clear();
+
+        return this.agent.close();
+    }
+}
+
+module.exports = { OctokitPool };
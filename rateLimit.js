@@ -0,0 +1,194 @@
+'use strict';
+
+const { createHash } = require('crypto');
+
+const SECONDARY_LIMIT_BACKOFF = 60000; // milliseconds, used when GitHub sends no retry-after header
+const MAX_SECONDARY_LIMIT_BACKOFF = 900000; // milliseconds
+
+/**
+ * Get the key a token is tracked by, so tokens are never kept or exposed in stats
+ * @param  {String} [token] Token used for the requests
+ * @return {String}         Short hash of the token
+ */
+function getTokenKey(token) {
+    return token ? createHash('sha256').update(token).digest('hex').slice(0, 12) : 'anonymous';
+}
+
+/**
+ * Parse an integer header value
+ * @param  {Object} headers Response headers
+ * @param  {String} name    Header name
+ * @return {Number}         Parsed value, or undefined if the header is missing
+ */
+function getIntHeader(headers, name) {
+    const value = parseInt(headers[name], 10);
+
+    return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Check whether a tracked limit still holds back requests
+ * @param  {Object}  limit Tracked limit
+ * @param  {Number}  now   Current time in milliseconds
+ * @return {Boolean}       False once both the budget and any secondary limit block have reset
+ */
+function isActive(limit, now) {
+    return limit.reset > now || limit.blockedUntil > now;
+}
+
+class RateLimitTracker {
+    /**
+     * Tracks the GitHub rate limit of each token from the response headers and computes
+     * how long a request has to wait to stay within the budget
+     * @param  {Object}    [config]
+     * @param  {Number}    [config.minRemaining=100]  Below this many remaining requests, requests are spread until the reset
+     * @param  {Number}    [config.maxEntries=1000]   Limits to track, reset ones and then least recently used are dropped first
+     * @param  {Function}  [config.getKey]            Get the key a token is tracked by, tokens sharing a limit share a key
+     */
+    constructor({ minRemaining = 100, maxEntries = 1000, getKey = getTokenKey } = {}) {
+        this.minRemaining = minRemaining;
+        this.maxEntries = maxEntries;
+        this.getKey = getKey;
+        this.limits = new Map();
+    }
+
+    /**
+     * Get the tracked limit of a token and mark it as recently used
+     * @param  {String} token Token used for the requests
+     * @return {Object}       Tracked limit
+     */
+    getLimit(token) {
+        const key = this.getKey(token);
+        let limit = this.limits.get(key);
+
+        if (limit) {
+            this.limits.delete(key);
+        } else {
+            limit = { secondaryLimitHits: 0 };
+
+            if (this.limits.size >= this.maxEntries) {
+                this.prune();
+            }
+
+            if (this.limits.size >= this.maxEntries) {
+                this.limits.delete(this.limits.keys().next().value);
+            }
+        }
+
+        this.limits.set(key, limit);
+
+        return limit;
+    }
+
+    /**
+     * Drop the limits that have reset, a new request starts with a fresh budget anyway
+     */
+    prune() {
+        const now = Date.now();
+
+        this.limits.forEach((limit, key) => {
+            if (!isActive(limit, now)) {
+                this.limits.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Reserve a request for a token. Requests that would wait longer than maxDelay are not sent,
+     * so they are not reserved and keep the budget for the others.
+     * @param  {String} token                Token used for the request
+     * @param  {Number} [maxDelay=Infinity]  Milliseconds the request may wait at most
+     * @return {Number}                      Milliseconds to wait before sending the request
+     */
+    acquire(token, maxDelay = Infinity) {
+        const limit = this.getLimit(token);
+        const now = Date.now();
+
+        if (limit.blockedUntil > now) {
+            return limit.blockedUntil - now;
+        }
+
+        if (limit.remaining === undefined || limit.reset <= now) {
+            return 0;
+        }
+
+        if (limit.remaining === 0) {
+            return limit.reset - now;
+        }
+
+        const remaining = limit.remaining - 1;
+        // Spread the last requests over the time left until the reset
+        const delay = remaining < this.minRemaining ? Math.floor((limit.reset - now) / (remaining + 1)) : 0;
+
+        if (delay <= maxDelay) {
+            limit.remaining = remaining;
+        }
+
+        return delay;
+    }
+
+    /**
+     * Update the limit of a token from a response
+     * @param  {String}  token        Token used for the request
+     * @param  {Object}  [headers]    Response headers
+     * @param  {Number}  [statusCode] Response status code
+     * @return {Boolean}              Whether the request was rejected by a rate limit
+     */
+    update(token, headers = {}, statusCode = 200) {
+        const limit = this.getLimit(token);
+        const remaining = getIntHeader(headers, 'x-ratelimit-remaining');
+        const retryAfter = getIntHeader(headers, 'retry-after');
+
+        if (remaining !== undefined) {
+            limit.remaining = remaining;
+            limit.limit = getIntHeader(headers, 'x-ratelimit-limit');
+            limit.reset = getIntHeader(headers, 'x-ratelimit-reset') * 1000;
+        }
+
+        if (statusCode !== 403 && statusCode !== 429) {
+            limit.secondaryLimitHits = 0;
+
+            return false;
+        }
+
+        // Secondary rate limits come with a retry-after header, or as a 429 while the budget is not used up
+        if (retryAfter !== undefined) {
+            limit.blockedUntil = Date.now() + retryAfter * 1000;
+        } else if (statusCode === 429 && limit.remaining !== 0) {
+            limit.blockedUntil =
+                Date.now() +
+                Math.min(SECONDARY_LIMIT_BACKOFF * 2 ** limit.secondaryLimitHits, MAX_SECONDARY_LIMIT_BACKOFF);
+        } else {
+            return limit.remaining === 0;
+        }
+
+        limit.secondaryLimitHits += 1;
+
+        return true;
+    }
+
+    /**
+     * Get the tracked limits that have not reset yet
+     * @return {Object} Limits keyed by token hash or installation, with limit, remaining, reset and blockedUntil
+     */
+    stats() {
+        const stats = {};
+
+        this.prune();
+        this.limits.forEach((limit, key) => {
+            stats[key] = {
+                limit: limit.limit,
+                remaining: limit.remaining,
+                reset: limit.reset ? new Date(limit.reset).toISOString() : null,
+                blockedUntil: limit.blockedUntil > Date.now() ? new Date(limit.blockedUntil).toISOString() : null
+            };
+        });
+
+        return stats;
+    }
+}
+
+module.exports = {
+    RateLimitTracker,
+    getTokenKey
+};
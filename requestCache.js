@@ -1,7 +1,9 @@
 'use strict';
 
-const { createHash } = require('crypto');
+const { createHash, randomUUID } = require('crypto');
 const { AsyncLocalStorage } = require('async_hooks');
+const hoek = require('@hapi/hoek');
+const logger = require('screwdriver-logger');
 
 const REQUEST_CACHE_STORAGE_KEY = Symbol.for('sd.requestCacheStorage');
 
@@ -27,6 +29,154 @@ function getRequestCacheKey(scope, params) {
     return createHash('sha256').update(JSON.stringify({ scope, params })).digest('hex');
 }
 
+class MemoryCache {
+    /**
+     * In-memory LRU cache with per entry TTL, the default backend shared across requests.
+     * Other backends implement the same get/set/delete methods, which may return promises.
+     * @param {Object} [config]
+     * @param {Number} [config.maxEntries=1000] Number of entries to keep, least recently used are evicted first
+     */
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a cached value and mark it as recently used
+     * @param {String} key Cache key
+     * @returns {*} Copy of the cached value, or undefined if missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+
+        this.entries.delete(key);
+
+        if (entry.expiresAt <= Date.now()) {
+            return undefined;
+        }
+
+        this.entries.set(key, entry);
+
+        return hoek.clone(entry.value);
+    }
+
+    /**
+     * Cache a value
+     * @param {String} key Cache key
+     * @param {*} value Value to cache
+     * @param {Number} ttl Milliseconds to keep the value
+     */
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value: hoek.clone(value), expiresAt: Date.now() + ttl });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove a cached value
+     * @param {String} key Cache key
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Build the key of the entry holding the current generation of the values of a scope with the given tag.
+ * @param {String} scope Cache scope name
+ * @param {String} tag Tag, for example a repository id
+ * @returns {String} Generation entry key
+ */
+function getGenerationKey(scope, tag) {
+    return `${scope}:generation:${tag}`;
+}
+
+/**
+ * Get the current generation of the values of a scope with the given tag, starting a new one if there is none.
+ * Generations are random, so a generation that was dropped or expired is never used again by any replica.
+ * @param {Object} config Generation configuration
+ * @param {Object} config.store Cache backend with get/set/delete
+ * @param {String} config.scope Cache scope name
+ * @param {String} config.tag Tag of the values
+ * @param {Number} config.ttl Milliseconds to keep a new generation
+ * @returns {Promise<String>} Current generation
+ */
+async function getGeneration({ store, scope, tag, ttl }) {
+    const generationKey = getGenerationKey(scope, tag);
+    const generation = await store.get(generationKey);
+
+    if (generation) {
+        return generation;
+    }
+
+    const newGeneration = randomUUID();
+
+    await store.set(generationKey, newGeneration, ttl);
+
+    return newGeneration;
+}
+
+/**
+ * Drop all values of a scope tagged with the given tag from a shared cache backend.
+ * The generation of the tag is dropped, so the values are no longer looked up and expire with their ttl.
+ * @param {Object} config Invalidation configuration
+ * @param {Object} config.store Cache backend with get/set/delete
+ * @param {String} config.scope Cache scope name
+ * @param {String} config.tag Tag the values were cached with
+ * @returns {Promise} Resolves when the values are dropped
+ */
+async function invalidateBy({ store, scope, tag }) {
+    await store.delete(getGenerationKey(scope, tag));
+}
+
+/**
+ * Resolve a value from a cache backend shared across requests, and store newly fetched values.
+ * Backend failures are logged and fall back to fetching, so a broken store never fails the lookup.
+ * @param {Object} config Cache configuration
+ * @param {Object} config.store Cache backend with get/set/delete
+ * @param {String} config.key Cache key
+ * @param {Number} config.ttl Milliseconds to keep the value
+ * @param {Function} config.fetcher Function that resolves the uncached value
+ * @param {Function} [config.shouldCache] Predicate deciding whether to keep the resolved value cached
+ * @param {String} config.scope Cache scope name
+ * @param {String} [config.tag] Tag the value can be invalidated by, its current generation is part of the key
+ * @returns {Promise<*>} Cached or newly fetched result
+ */
+async function fetchThroughStore({ store, key, ttl, fetcher, shouldCache, scope, tag }) {
+    let storeKey = null;
+
+    try {
+        storeKey = tag ? `${key}:${await getGeneration({ store, scope, tag, ttl })}` : key;
+
+        const cached = await store.get(storeKey);
+
+        if (cached !== undefined && cached !== null) {
+            return cached;
+        }
+    } catch (err) {
+        logger.warn(`Failed to read cache entry ${key}: ${err.message}`);
+    }
+
+    const result = await fetcher();
+
+    if (storeKey && (!shouldCache || shouldCache(result))) {
+        try {
+            await store.set(storeKey, result, ttl);
+        } catch (err) {
+            logger.warn(`Failed to write cache entry ${key}: ${err.message}`);
+        }
+    }
+
+    return result;
+}
+
 /**
  * Resolve a value using the current request-local cache when available.
  * @param {Object} config Cache configuration
@@ -34,17 +184,23 @@ function getRequestCacheKey(scope, params) {
  * @param {Object} config.params Parameters contributing to the cache key
  * @param {Function} config.fetcher Function that resolves the uncached value
  * @param {Function} [config.shouldCache] Predicate deciding whether to keep the resolved value cached
+ * @param {Object} [config.store] Cache backend shared across requests, see MemoryCache
+ * @param {Number} [config.ttl] Milliseconds to keep the value in the shared backend, which is skipped unless positive
+ * @param {String} [config.tag] Tag of the value in the shared backend, see invalidateBy
  * @returns {Promise<*>} Cached or newly fetched result
  */
-function cacheBy({ scope, params, fetcher, shouldCache }) {
+function cacheBy({ scope, params, fetcher, shouldCache, store, ttl, tag }) {
     const requestCache = getRequestCacheStorage().getStore() || null;
+    const cacheKey = getRequestCacheKey(scope, params);
+    const load =
+        store && ttl > 0
+            ? () => fetchThroughStore({ store, key: `${scope}:${cacheKey}`, ttl, fetcher, shouldCache, scope, tag })
+            : fetcher;
 
     if (!requestCache) {
-        return fetcher();
+        return load();
     }
 
-    const cacheKey = getRequestCacheKey(scope, params);
-
     if (requestCache.has(cacheKey)) {
         return requestCache.get(cacheKey);
     }
@@ -52,7 +208,7 @@ function cacheBy({ scope, params, fetcher, shouldCache }) {
     requestCache.set(
         cacheKey,
         Promise.resolve()
-            .then(fetcher)
+            .then(load)
             .then(result => {
                 if (shouldCache && !shouldCache(result)) {
                     requestCache.delete(cacheKey);
@@ -70,6 +226,8 @@ function cacheBy({ scope, params, fetcher, shouldCache }) {
 }
 
 module.exports = {
+    MemoryCache,
     cacheBy,
-    getRequestCacheStorage
+    getRequestCacheStorage,
+    invalidateBy
 };
@@ -7,6 +7,11 @@ const mockery = require('mockery');
 const sinon = require('sinon');
 
 const crypto = require('crypto');
+const { MemoryCache } = require('../requestCache');
+const testPayloadCheckRun = require('./data/github.check_run.rerequested.json');
+const testPayloadCheckSuite = require('./data/github.check_suite.rerequested.json');
+const testPayloadIssueComment = require('./data/github.issue_comment.created.json');
+const testPayloadMergeGroup = require('./data/github.merge_group.checks_requested.json');
 const testPayloadClose = require('./data/github.pull_request.closed.json');
 const testPayloadOpen = require('./data/github.pull_request.opened.json');
 const testPayloadOpenFork = require('./data/github.pull_request.opened-fork.json');
@@ -42,6 +47,13 @@ const testPrCreateComment = require('./data/github.pull_request.createComment.js
 const testPrListComment = require('./data/github.pull_request.listComment.json');
 const testPrOpenedEnterpriseCloud = require('./data/github.pull_request.opened-cloud.json');
 
+const { privateKey: testAppPrivateKey, publicKey: testAppPublicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+const undiciMock = { Agent: sinon.stub(), fetch: sinon.stub() };
+
 sinon.assert.expose(assert, {
     prefix: ''
 });
@@ -65,17 +77,29 @@ describe('index', function () {
 
     beforeEach(() => {
         githubMock = {
+            checks: {
+                create: sinon.stub(),
+                listForRef: sinon.stub(),
+                update: sinon.stub()
+            },
             issues: {
+                addLabels: sinon.stub(),
                 createComment: sinon.stub(),
+                deleteComment: sinon.stub(),
                 updateComment: sinon.stub(),
                 listComments: sinon.stub()
             },
             pulls: {
                 create: sinon.stub(),
+                createReview: sinon.stub(),
                 get: sinon.stub(),
-                list: sinon.stub()
+                list: sinon.stub(),
+                merge: sinon.stub(),
+                requestReviewers: sinon.stub(),
+                update: sinon.stub()
             },
             repos: {
+                compareCommits: sinon.stub(),
                 createCommitStatus: sinon.stub(),
                 createDeployKey: sinon.stub(),
                 createOrUpdateFileContents: sinon.stub(),
@@ -83,11 +107,17 @@ describe('index', function () {
                 get: sinon.stub(),
                 getBranch: sinon.stub(),
                 getCommit: sinon.stub(),
+                getCollaboratorPermissionLevel: sinon.stub(),
                 getCommitRefSha: sinon.stub(),
+                getCombinedStatusForRef: sinon.stub(),
                 getContent: sinon.stub(),
+                createRelease: sinon.stub(),
+                updateRelease: sinon.stub(),
+                uploadReleaseAsset: sinon.stub(),
                 listBranches: sinon.stub(),
                 listWebhooks: sinon.stub(),
-                updateWebhook: sinon.stub()
+                updateWebhook: sinon.stub(),
+                updateWebhookConfigForRepo: sinon.stub()
             },
             users: {
                 getByUsername: sinon.stub()
@@ -96,14 +126,23 @@ describe('index', function () {
                 getMembershipForAuthenticatedUser: sinon.stub()
             },
             git: {
+                createBlob: sinon.stub(),
+                createCommit: sinon.stub(),
                 createRef: sinon.stub(),
+                createTree: sinon.stub(),
+                deleteRef: sinon.stub(),
+                updateRef: sinon.stub(),
                 getRef: sinon.stub(),
-                getTag: sinon.stub()
+                getTag: sinon.stub(),
+                createTag: sinon.stub()
             },
+            graphql: sinon.stub(),
             paginate: sinon.stub(),
             request: sinon.stub()
         };
         githubMockClass = { Octokit: sinon.stub().returns(githubMock) };
+        undiciMock.Agent.resetHistory();
+        undiciMock.fetch.resetHistory();
         winstonMock = {
             info: sinon.stub(),
             warn: sinon.stub(),
@@ -115,6 +154,7 @@ describe('index', function () {
         }
 
         mockery.registerMock('@octokit/rest', githubMockClass);
+        mockery.registerMock('undici', undiciMock);
         mockery.registerMock('screwdriver-logger', winstonMock);
         mockery.registerMock('screwdriver-scm-github-graphql', GithubGqlMock);
 
@@ -181,7 +221,7 @@ describe('index', function () {
 
             scm._githubCommand(dummyOption, () => {
                 assert.equal(scm.octokitConfig.baseUrl, 'https://github.screwdriver.cd/api/v3');
-                assert.calledWith(githubMockClass.Octokit, {
+                assert.calledWithMatch(githubMockClass.Octokit, {
                     auth: 'token sometoken',
                     baseUrl: 'https://github.screwdriver.cd/api/v3'
                 });
@@ -271,6 +311,465 @@ describe('index', function () {
         });
     });
 
+    describe('rate limits', () => {
+        const options = {
+            action: 'get',
+            token: 'sometoken',
+            params: { owner: 'screwdriver-cd', repo: 'models' }
+        };
+        const resetIn = seconds => `${Math.floor(Date.now() / 1000) + seconds}`;
+        const run = () =>
+            new Promise(resolve => {
+                scm._githubCommand(options, (err, response) => resolve({ err, response }));
+            });
+
+        it('tracks the remaining requests of each token', async () => {
+            githubMock.repos.get.resolves({
+                data: {},
+                status: 200,
+                headers: {
+                    'x-ratelimit-limit': '5000',
+                    'x-ratelimit-remaining': '4999',
+                    'x-ratelimit-reset': resetIn(3600)
+                }
+            });
+
+            await run();
+
+            const { rateLimits } = scm.stats()['github:github.com'];
+            const tokenStats = Object.values(rateLimits)[0];
+
+            assert.lengthOf(Object.keys(rateLimits), 1);
+            assert.notInclude(Object.keys(rateLimits)[0], 'sometoken');
+            assert.strictEqual(tokenStats.limit, 5000);
+            assert.strictEqual(tokenStats.remaining, 4999);
+            assert.isNull(tokenStats.blockedUntil);
+        });
+
+        it('spreads requests over the time left when the budget gets low', () => {
+            scm.rateLimiter.update('sometoken', {
+                'x-ratelimit-limit': '5000',
+                'x-ratelimit-remaining': '10',
+                'x-ratelimit-reset': resetIn(100)
+            });
+
+            const delay = scm.rateLimiter.acquire('sometoken');
+
+            assert.isAbove(delay, 9000);
+            assert.isAtMost(delay, 10000);
+            assert.strictEqual(scm.rateLimiter.acquire('othertoken'), 0);
+        });
+
+        it('fails fast without calling GitHub when the budget is used up', async () => {
+            scm.rateLimiter.update('sometoken', {
+                'x-ratelimit-limit': '5000',
+                'x-ratelimit-remaining': '0',
+                'x-ratelimit-reset': resetIn(3600)
+            });
+
+            const { err } = await run();
+
+            assert.strictEqual(err.statusCode, 429);
+            assert.match(err.message, /GitHub rate limit exceeded/);
+            assert.notCalled(githubMock.repos.get);
+        });
+
+        it('keeps the budget of requests that fail fast', async () => {
+            scm.rateLimiter.update('sometoken', {
+                'x-ratelimit-limit': '5000',
+                'x-ratelimit-remaining': '1',
+                'x-ratelimit-reset': resetIn(3600)
+            });
+
+            const { err } = await run();
+
+            assert.strictEqual(err.statusCode, 429);
+            assert.notCalled(githubMock.repos.get);
+            assert.strictEqual(Object.values(scm.stats()['github:github.com'].rateLimits)[0].remaining, 1);
+        });
+
+        it('retries once after the retry-after of a secondary rate limit', async () => {
+            githubMock.repos.get.onFirstCall().rejects({
+                status: 403,
+                response: { headers: { 'retry-after': '0' } }
+            });
+            githubMock.repos.get.onSecondCall().resolves({ data: { id: 1 }, status: 200 });
+
+            const { err, response } = await run();
+
+            assert.isNull(err);
+            assert.strictEqual(response.statusCode, 200);
+            assert.calledTwice(githubMock.repos.get);
+        });
+
+        it('blocks the token while a secondary rate limit lasts', async () => {
+            githubMock.repos.get.rejects({
+                status: 403,
+                response: { headers: { 'retry-after': '60' } }
+            });
+
+            const { err } = await run();
+
+            assert.strictEqual(err.statusCode, 429);
+            assert.calledOnce(githubMock.repos.get);
+            assert.isNotNull(Object.values(scm.stats()['github:github.com'].rateLimits)[0].blockedUntil);
+        });
+
+        it('keeps a bounded number of limits', () => {
+            scm = new GithubScm({
+                fusebox: { retry: { minTimeout: 1 } },
+                readOnly: {},
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret',
+                rateLimit: { maxEntries: 2 }
+            });
+            ['expiredtoken', 'firsttoken', 'secondtoken'].forEach((token, index) =>
+                scm.rateLimiter.update(token, {
+                    'x-ratelimit-limit': '5000',
+                    'x-ratelimit-remaining': '4000',
+                    'x-ratelimit-reset': resetIn(index === 0 ? -1 : 3600)
+                })
+            );
+
+            assert.lengthOf(Object.keys(scm.stats()['github:github.com'].rateLimits), 2);
+
+            scm.rateLimiter.update('thirdtoken', {
+                'x-ratelimit-limit': '5000',
+                'x-ratelimit-remaining': '4000',
+                'x-ratelimit-reset': resetIn(3600)
+            });
+
+            assert.lengthOf(Object.keys(scm.stats()['github:github.com'].rateLimits), 2);
+            assert.strictEqual(scm.rateLimiter.acquire('secondtoken'), 0);
+            assert.strictEqual(scm.rateLimiter.limits.get(scm._getRateLimitKey('secondtoken')).remaining, 3999);
+        });
+
+        it('drops limits that have reset from the stats', () => {
+            scm.rateLimiter.update('sometoken', {
+                'x-ratelimit-limit': '5000',
+                'x-ratelimit-remaining': '0',
+                'x-ratelimit-reset': resetIn(-1)
+            });
+
+            assert.deepEqual(scm.stats()['github:github.com'].rateLimits, {});
+        });
+
+        it('does not treat permission errors as rate limits', async () => {
+            githubMock.repos.get.rejects({
+                status: 403,
+                response: { headers: { 'x-ratelimit-remaining': '4000', 'x-ratelimit-reset': resetIn(3600) } }
+            });
+
+            const { err } = await run();
+
+            assert.strictEqual(err.statusCode, 403);
+            assert.calledOnce(githubMock.repos.get);
+        });
+    });
+
+    describe('conditional requests', () => {
+        const scmUri = 'github.com:23498:targetBranch';
+        const repoResponse = {
+            data: { full_name: 'screwdriver-cd/models', default_branch: 'main', private: false },
+            status: 200,
+            headers: { etag: 'W/"abc123"' }
+        };
+
+        beforeEach(() => {
+            scm = new GithubScm({
+                fusebox: { retry: { minTimeout: 1 } },
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret',
+                gheHost: 'github.com',
+                conditionalRequests: { enabled: true }
+            });
+            githubMock.request.resolves(repoResponse);
+        });
+
+        it('serves a 304 response from the cache across requests', async () => {
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+            githubMock.request.rejects({ status: 304, response: { headers: {} } });
+
+            const scmInfo = await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+
+            assert.calledTwice(githubMock.request);
+            assert.calledWith(githubMock.request.firstCall, 'GET /repositories/:id', { id: '23498' });
+            assert.calledWith(githubMock.request.secondCall, 'GET /repositories/:id', {
+                id: '23498',
+                headers: { 'if-none-match': 'W/"abc123"' }
+            });
+            assert.strictEqual(scmInfo.owner, 'screwdriver-cd');
+            assert.strictEqual(scmInfo.repo, 'models');
+        });
+
+        it('revalidates with Last-Modified when there is no ETag', async () => {
+            githubMock.users.getByUsername.resolves({
+                data: {
+                    login: 'batman',
+                    id: 1,
+                    name: 'Bruce',
+                    avatar_url: 'https://avatars.example.com/batman',
+                    html_url: 'https://github.com/batman'
+                },
+                status: 200,
+                headers: { 'last-modified': 'Tue, 13 Oct 2026 08:00:00 GMT' }
+            });
+
+            await scm.decorateAuthor({ username: 'batman', token: 'sometoken' });
+            await scm.decorateAuthor({ username: 'batman', token: 'sometoken' });
+
+            assert.calledWith(githubMock.users.getByUsername.secondCall, {
+                username: 'batman',
+                headers: { 'if-modified-since': 'Tue, 13 Oct 2026 08:00:00 GMT' }
+            });
+        });
+
+        it('does not share cached responses between tokens', async () => {
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+            await scm.lookupScmUri({ scmUri, token: 'othertoken' });
+
+            assert.calledWith(githubMock.request.secondCall, 'GET /repositories/:id', { id: '23498' });
+        });
+
+        it('replaces the cached response when the resource changed', async () => {
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+            githubMock.request.resolves({
+                ...repoResponse,
+                data: { ...repoResponse.data, full_name: 'screwdriver-cd/data-schema' },
+                headers: { etag: 'W/"def456"' }
+            });
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+
+            assert.calledWith(githubMock.request.thirdCall, 'GET /repositories/:id', {
+                id: '23498',
+                headers: { 'if-none-match': 'W/"def456"' }
+            });
+        });
+
+        it('is disabled by default', async () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret'
+            });
+
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+
+            assert.isUndefined(scm.etagCache);
+            assert.calledWith(githubMock.request.secondCall, 'GET /repositories/:id', { id: '23498' });
+        });
+    });
+
+    describe('shared cache', () => {
+        const scmUri = 'github.com:23498:targetBranch';
+        const createScm = cache =>
+            new GithubScm({
+                fusebox: { retry: { minTimeout: 1 } },
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret',
+                gheHost: 'github.com',
+                cache
+            });
+
+        beforeEach(() => {
+            githubMock.request.resolves({
+                data: { full_name: 'screwdriver-cd/models', default_branch: 'main', private: false },
+                status: 200
+            });
+        });
+
+        it('reuses lookups across requests within the scope ttl', async () => {
+            scm = createScm({ ttl: { lookupScmUri: 60000 } });
+
+            const first = await scm.withRequestCache(new Map(), () => scm.lookupScmUri({ scmUri, token: 'sometoken' }));
+            const second = await scm.withRequestCache(new Map(), () =>
+                scm.lookupScmUri({ scmUri, token: 'sometoken' })
+            );
+
+            assert.deepEqual(first, second);
+            assert.calledOnce(githubMock.request);
+        });
+
+        it('does not share lookups without a scope ttl', async () => {
+            scm = createScm({ ttl: { getFile: 60000 } });
+
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+
+            assert.calledTwice(githubMock.request);
+        });
+
+        it('uses a pluggable cache backend', async () => {
+            const store = {
+                get: sinon.stub().resolves(undefined),
+                set: sinon.stub().resolves(),
+                delete: sinon.stub().resolves()
+            };
+
+            scm = createScm({ store, ttl: { lookupScmUri: 60000 } });
+            await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+
+            const generation = store.set.firstCall.args[1];
+
+            assert.calledWith(store.get.firstCall, 'lookupScmUri:generation:23498');
+            assert.calledWith(store.set.firstCall, 'lookupScmUri:generation:23498', sinon.match.string, 60000);
+            assert.calledWithMatch(
+                store.set.secondCall,
+                sinon.match(new RegExp(`^lookupScmUri:[0-9a-f]+:${generation}$`)),
+                { owner: 'screwdriver-cd' },
+                60000
+            );
+
+            store.get.withArgs('lookupScmUri:generation:23498').resolves(generation);
+            store.get.withArgs(store.set.secondCall.args[0]).resolves({ owner: 'cached-owner', repo: 'models' });
+
+            const cached = await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+
+            assert.strictEqual(cached.owner, 'cached-owner');
+            assert.calledOnce(githubMock.request);
+        });
+
+        it('fetches from GitHub when the cache backend fails', async () => {
+            const store = {
+                get: sinon.stub().rejects(new Error('connection refused')),
+                set: sinon.stub().rejects(new Error('connection refused')),
+                delete: sinon.stub().resolves()
+            };
+
+            scm = createScm({ store, ttl: { lookupScmUri: 60000 } });
+
+            const scmInfo = await scm.lookupScmUri({ scmUri, token: 'sometoken' });
+
+            assert.strictEqual(scmInfo.owner, 'screwdriver-cd');
+            assert.calledOnce(githubMock.request);
+        });
+
+        describe('MemoryCache', () => {
+            let clock;
+
+            beforeEach(() => {
+                clock = sinon.useFakeTimers();
+            });
+
+            afterEach(() => {
+                clock.restore();
+            });
+
+            it('expires entries after their ttl', () => {
+                const cache = new MemoryCache();
+
+                cache.set('key', { a: 1 }, 1000);
+                assert.deepEqual(cache.get('key'), { a: 1 });
+
+                clock.tick(1000);
+                assert.isUndefined(cache.get('key'));
+            });
+
+            it('evicts the least recently used entry', () => {
+                const cache = new MemoryCache({ maxEntries: 2 });
+
+                cache.set('a', 1, 1000);
+                cache.set('b', 2, 1000);
+                cache.get('a');
+                cache.set('c', 3, 1000);
+
+                assert.strictEqual(cache.get('a'), 1);
+                assert.isUndefined(cache.get('b'));
+                assert.strictEqual(cache.get('c'), 3);
+            });
+
+            it('returns copies of cached values', () => {
+                const cache = new MemoryCache();
+
+                cache.set('key', { a: 1 }, 1000);
+                cache.get('key').a = 2;
+
+                assert.deepEqual(cache.get('key'), { a: 1 });
+            });
+        });
+    });
+
+    describe('connection pool', () => {
+        const run = token =>
+            new Promise(resolve => {
+                scm._githubCommand(
+                    { action: 'get', token, params: { owner: 'screwdriver-cd', repo: 'models' } },
+                    resolve
+                );
+            });
+
+        beforeEach(() => {
+            githubMock.repos.get.resolves({ data: {}, status: 200 });
+        });
+
+        it('reuses the client of a token', async () => {
+            await run('sometoken');
+            await run('sometoken');
+
+            assert.calledOnce(githubMockClass.Octokit);
+            assert.calledWithMatch(githubMockClass.Octokit, {
+                auth: 'token sometoken',
+                baseUrl: 'https://github.com/api/v3',
+                request: { fetch: sinon.match.func }
+            });
+            assert.calledTwice(githubMock.repos.get);
+        });
+
+        it('creates a client per token', async () => {
+            await run('sometoken');
+            await run('othertoken');
+
+            assert.calledTwice(githubMockClass.Octokit);
+            assert.calledWithMatch(githubMockClass.Octokit.secondCall, { auth: 'token othertoken' });
+        });
+
+        it('drops the least recently used clients', async () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret',
+                connectionPool: { maxClients: 2 }
+            });
+
+            await run('token1');
+            await run('token2');
+            await run('token1');
+            await run('token3');
+            await run('token1');
+            await run('token2');
+
+            assert.callCount(githubMockClass.Octokit, 4);
+            assert.strictEqual(scm.octokitPool.clients.size, 2);
+        });
+
+        it('sends the requests of all clients through one keep-alive agent', async () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret',
+                connectionPool: { maxSockets: 10, keepAliveTimeout: 1000 }
+            });
+
+            await run('sometoken');
+            await run('othertoken');
+            githubMockClass.Octokit.firstCall.args[0].request.fetch('https://api.github.com/user', { method: 'GET' });
+            githubMockClass.Octokit.secondCall.args[0].request.fetch('https://api.github.com/user', { method: 'GET' });
+
+            assert.calledWith(undiciMock.Agent.lastCall, { connections: 10, keepAliveTimeout: 1000 });
+            assert.calledTwice(undiciMock.fetch);
+            assert.strictEqual(
+                undiciMock.fetch.firstCall.args[1].dispatcher,
+                undiciMock.fetch.secondCall.args[1].dispatcher
+            );
+            assert.instanceOf(undiciMock.fetch.firstCall.args[1].dispatcher, undiciMock.Agent);
+        });
+    });
+
     describe('getCheckoutCommand', () => {
         let config;
         const allowedBranchCategorySamples = [
@@ -551,6 +1050,14 @@ describe('index', function () {
             });
         });
 
+        it('clones the base branch of a merge queue branch and resets to the queued sha', () => {
+            config.commitBranch = 'gh-readonly-queue/branchName/pr-42-9049f1265b7d61be4a8904a9a27120d2064dab3b';
+
+            return scm.getCheckoutCommand(config).then(command => {
+                assert.deepEqual(command, testCommands);
+            });
+        });
+
         it('promises to get the checkout command for a child pipeline', () => {
             config.parentConfig = {
                 branch: 'master',
@@ -840,6 +1347,20 @@ describe('index', function () {
             });
         });
 
+        it('promises to get the permissions of a given user', () => {
+            githubMock.repos.getCollaboratorPermissionLevel.resolves({ data: { permission: 'admin' } });
+
+            return scm._getPermissions({ ...config, username: 'someuser' }).then(data => {
+                assert.deepEqual(data, { admin: true, push: true, pull: true });
+                assert.notCalled(githubMock.repos.get);
+                assert.calledWith(githubMock.repos.getCollaboratorPermissionLevel, {
+                    owner: 'screwdriver-cd',
+                    repo: 'models',
+                    username: 'someuser'
+                });
+            });
+        });
+
         it('returns an error when github command fails', () => {
             const err = new Error('githubError');
 
@@ -1146,40 +1667,290 @@ describe('index', function () {
         });
     });
 
-    describe('updateCommitStatus', () => {
-        const scmUri = 'github.com:14052:master';
-        const data = {
-            permissions: {
-                admin: true,
-                push: false,
-                pull: false
-            }
+    describe('_getAppToken', () => {
+        const appConfig = {
+            fusebox: {
+                retry: {
+                    minTimeout: 1
+                }
+            },
+            readOnly: {},
+            oauthClientId: 'abcdefg',
+            oauthClientSecret: 'hijklmno',
+            secret: 'somesecret',
+            githubAppId: 12345,
+            githubAppPrivateKey: testAppPrivateKey
+        };
+        const installationRoute = 'GET /repos/:owner/:repo/installation';
+        const accessTokenRoute = 'POST /app/installations/:installation_id/access_tokens';
+        const scmRepo = {
+            name: 'screwdriver-cd/models',
+            branch: 'master',
+            url: 'https://github.com/screwdriver-cd/models/tree/master'
         };
-        let config;
 
         beforeEach(() => {
-            config = {
-                scmUri,
-                sha: 'ccc49349d3cffbd12ea9e3d41521480b4aa5de5f',
-                buildStatus: 'SUCCESS',
-                token: 'somerandomtoken',
-                url: 'https://foo.bar',
-                jobName: 'main',
-                pipelineId: 675
-            };
-
-            githubMock.request.resolves({
+            scm = new GithubScm(appConfig);
+            githubMock.request.withArgs(installationRoute).resolves({ data: { id: 678 } });
+            githubMock.request.withArgs(accessTokenRoute).resolves({
                 data: {
-                    full_name: 'screwdriver-cd/models'
+                    token: 'ghs_installationtoken',
+                    expires_at: new Date(Date.now() + 3600000).toISOString()
                 }
             });
-            githubMock.repos.createCommitStatus.resolves({ data });
         });
 
-        it('promises to update commit status on success', () =>
-            scm.updateCommitStatus(config).then(result => {
-                assert.deepEqual(result, data);
-
+        it('resolves to undefined when no GitHub App is configured', async () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret'
+            });
+
+            assert.isUndefined(await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' }));
+            assert.notCalled(githubMock.request);
+        });
+
+        it('exchanges a signed JWT for an installation token', async () => {
+            const token = await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+
+            assert.strictEqual(token, 'ghs_installationtoken');
+            assert.calledWith(githubMock.request, installationRoute, { owner: 'screwdriver-cd', repo: 'models' });
+            assert.calledWith(githubMock.request, accessTokenRoute, { installation_id: '678' });
+
+            const jwt = githubMockClass.Octokit.firstCall.args[0].auth.replace(/^token /, '');
+            const [header, payload, signature] = jwt.split('.');
+
+            assert.isTrue(
+                crypto
+                    .createVerify('RSA-SHA256')
+                    .update(`${header}.${payload}`)
+                    .verify(testAppPublicKey, signature, 'base64url')
+            );
+            assert.strictEqual(JSON.parse(Buffer.from(payload, 'base64url').toString()).iss, '12345');
+        });
+
+        it('reuses cached installation ids and tokens until they expire', async () => {
+            await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+            await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+
+            assert.calledTwice(githubMock.request);
+        });
+
+        it('tracks the rate limits of the app and its installations instead of each token', async () => {
+            await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+
+            assert.strictEqual(scm._getRateLimitKey('ghs_installationtoken'), 'installation:678');
+            assert.strictEqual(scm._getRateLimitKey(scm._getAppJwt()), 'app:12345');
+            assert.sameMembers([...scm.rateLimiter.limits.keys()], ['app:12345']);
+        });
+
+        it('tracks the rate limit of a refreshed token by its installation', async () => {
+            githubMock.request
+                .withArgs(accessTokenRoute)
+                .onFirstCall()
+                .resolves({ data: { token: 'ghs_oldtoken', expires_at: new Date(Date.now() + 1000).toISOString() } });
+
+            await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+            await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+
+            assert.strictEqual(scm._getRateLimitKey('ghs_installationtoken'), 'installation:678');
+            assert.notStrictEqual(scm._getRateLimitKey('ghs_oldtoken'), 'installation:678');
+            assert.strictEqual(scm.appTokenInstallationIds.size, 1);
+        });
+
+        it('refreshes a token that is about to expire', async () => {
+            githubMock.request.withArgs(accessTokenRoute).resolves({
+                data: {
+                    token: 'ghs_installationtoken',
+                    expires_at: new Date(Date.now() + 1000).toISOString()
+                }
+            });
+
+            await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+            await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+
+            assert.calledTwice(githubMock.request.withArgs(accessTokenRoute));
+        });
+
+        it('uses the configured installation id', async () => {
+            scm = new GithubScm({ ...appConfig, githubAppInstallationId: 999 });
+
+            await scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' });
+
+            assert.neverCalledWith(githubMock.request, installationRoute);
+            assert.calledWith(githubMock.request, accessTokenRoute, { installation_id: '999' });
+        });
+
+        it('looks up a repository by id when no token is given to lookupScmUri', async () => {
+            githubMock.request.withArgs('GET /repositories/:id/installation').resolves({ data: { id: 678 } });
+            githubMock.request.withArgs('GET /repositories/:id').resolves({
+                data: { full_name: 'screwdriver-cd/models', default_branch: 'master', private: false }
+            });
+
+            const repoData = await scm.lookupScmUri({ scmUri: 'github.com:23498:master' });
+
+            assert.strictEqual(repoData.repo, 'models');
+            assert.calledWith(githubMock.request, 'GET /repositories/:id/installation', { id: '23498' });
+            assert.calledWithMatch(githubMockClass.Octokit, { auth: 'token ghs_installationtoken' });
+        });
+
+        it('uses the installation token to update a commit status', async () => {
+            githubMock.repos.createCommitStatus.resolves({ data: {} });
+
+            await scm.updateCommitStatus({
+                scmUri: 'github.com:23498:master',
+                scmRepo,
+                sha: 'ccc49349d3cffbd12ea9e3d41521480b4aa5de5f',
+                buildStatus: 'SUCCESS',
+                jobName: 'main',
+                pipelineId: 1,
+                url: 'https://foo.bar'
+            });
+
+            assert.calledWithMatch(githubMockClass.Octokit.lastCall, { auth: 'token ghs_installationtoken' });
+            assert.calledOnce(githubMock.repos.createCommitStatus);
+        });
+
+        it('uses the installation token to get a file', async () => {
+            githubMock.repos.getContent.resolves({
+                data: { type: 'file', content: Buffer.from('jobs: {}').toString('base64'), encoding: 'base64' }
+            });
+
+            const content = await scm.getFile({
+                scmUri: 'github.com:23498:master',
+                scmRepo,
+                path: 'screwdriver.yaml'
+            });
+
+            assert.strictEqual(content, 'jobs: {}');
+            assert.calledWithMatch(githubMockClass.Octokit.lastCall, { auth: 'token ghs_installationtoken' });
+        });
+
+        it('uses the installation token to add a webhook', async () => {
+            githubMock.repos.listWebhooks.resolves({ data: [] });
+            githubMock.repos.createWebhook.resolves({ data: {} });
+
+            await scm.addWebhook({
+                scmUri: 'github.com:23498:master',
+                scmRepo,
+                webhookUrl: 'https://somewhere.in/the/interwebs',
+                actions: []
+            });
+
+            assert.calledOnce(githubMock.repos.createWebhook);
+            assert.calledWithMatch(githubMockClass.Octokit.lastCall, { auth: 'token ghs_installationtoken' });
+        });
+
+        it('uses the installation token to add a PR comment', async () => {
+            githubMock.paginate.resolves([]);
+            githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+
+            const result = await scm.addPrComment({
+                scmUri: 'github.com:23498:master',
+                scmRepo,
+                prNum: 1,
+                jobName: 'PR-1:main',
+                pipelineId: 123456,
+                comments: [{ text: 'this was a great PR' }]
+            });
+
+            assert.strictEqual(result[0].commentId, '1');
+            assert.calledWithMatch(githubMockClass.Octokit.lastCall, { auth: 'token ghs_installationtoken' });
+        });
+
+        it('uses the installation token to create a release', async () => {
+            githubMock.repos.createRelease.resolves({
+                data: {
+                    id: 11248810,
+                    tag_name: 'v1.2.0',
+                    name: 'v1.2.0',
+                    html_url: 'https://github.com/screwdriver-cd/models/releases/tag/v1.2.0',
+                    upload_url: 'https://uploads.github.com/repos/screwdriver-cd/models/releases/11248810/assets'
+                }
+            });
+
+            const result = await scm.createRelease({ scmUri: 'github.com:23498:master', scmRepo, tagName: 'v1.2.0' });
+
+            assert.strictEqual(result.id, 11248810);
+            assert.calledWithMatch(githubMockClass.Octokit.lastCall, { auth: 'token ghs_installationtoken' });
+        });
+
+        it('still requires a token when no GitHub App is configured', () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret'
+            });
+
+            return scm
+                .updateCommitStatus({
+                    scmUri: 'github.com:23498:master',
+                    sha: 'ccc49349d3cffbd12ea9e3d41521480b4aa5de5f',
+                    buildStatus: 'SUCCESS',
+                    jobName: 'main',
+                    pipelineId: 1,
+                    url: 'https://foo.bar'
+                })
+                .then(assert.fail, err => {
+                    assert.match(err.message, /"token" is required/);
+                    assert.notCalled(githubMock.request);
+                });
+        });
+
+        it('rejects when the token exchange fails', () => {
+            const testError = new Error('githubError');
+
+            githubMock.request.withArgs(accessTokenRoute).rejects(testError);
+
+            return scm._getAppToken({ owner: 'screwdriver-cd', repo: 'models' }).then(
+                () => assert.fail('should not get here'),
+                err => {
+                    assert.deepEqual(err, testError);
+                    assert.calledWith(winstonMock.error, 'Failed to getAppToken: ');
+                }
+            );
+        });
+
+        it('validates that the private key is given with the app id', () => {
+            assert.throws(() => new GithubScm({ ...appConfig, githubAppPrivateKey: undefined }), /githubAppPrivateKey/);
+        });
+    });
+
+    describe('updateCommitStatus', () => {
+        const scmUri = 'github.com:14052:master';
+        const data = {
+            permissions: {
+                admin: true,
+                push: false,
+                pull: false
+            }
+        };
+        let config;
+
+        beforeEach(() => {
+            config = {
+                scmUri,
+                sha: 'ccc49349d3cffbd12ea9e3d41521480b4aa5de5f',
+                buildStatus: 'SUCCESS',
+                token: 'somerandomtoken',
+                url: 'https://foo.bar',
+                jobName: 'main',
+                pipelineId: 675
+            };
+
+            githubMock.request.resolves({
+                data: {
+                    full_name: 'screwdriver-cd/models'
+                }
+            });
+            githubMock.repos.createCommitStatus.resolves({ data });
+        });
+
+        it('promises to update commit status on success', () =>
+            scm.updateCommitStatus(config).then(result => {
+                assert.deepEqual(result, data);
+
                 assert.calledWith(githubMock.request, 'GET /repositories/:id', { id: '14052' });
                 assert.calledWith(githubMock.repos.createCommitStatus, {
                     owner: 'screwdriver-cd',
@@ -1392,6 +2163,126 @@ describe('index', function () {
         });
     });
 
+    describe('updateCheckRun', () => {
+        let config;
+
+        beforeEach(() => {
+            config = {
+                scmUri: 'github.com:14052:master',
+                sha: 'ccc49349d3cffbd12ea9e3d41521480b4aa5de5f',
+                buildStatus: 'FAILURE',
+                token: 'somerandomtoken',
+                url: 'https://foo.bar',
+                jobName: 'PR-15:main',
+                pipelineId: 675,
+                summary: '**2** tests failed',
+                text: 'details',
+                annotations: [{ path: 'lib/index.js', startLine: 10, level: 'warning', message: 'unused variable' }]
+            };
+
+            githubMock.request.resolves({
+                data: {
+                    full_name: 'screwdriver-cd/models'
+                }
+            });
+            githubMock.checks.listForRef.resolves({ data: { check_runs: [] } });
+            githubMock.checks.create.resolves({ data: { id: 4 } });
+            githubMock.checks.update.resolves({ data: { id: 4 } });
+        });
+
+        it('creates a completed check run with output and annotations', () =>
+            scm.updateCheckRun(config).then(result => {
+                assert.deepEqual(result, { id: 4 });
+                assert.calledWith(githubMock.checks.listForRef, {
+                    owner: 'screwdriver-cd',
+                    repo: 'models',
+                    ref: config.sha,
+                    check_name: 'Screwdriver/675/PR:main',
+                    filter: 'latest'
+                });
+                assert.calledWith(githubMock.checks.create, {
+                    owner: 'screwdriver-cd',
+                    repo: 'models',
+                    name: 'Screwdriver/675/PR:main',
+                    head_sha: config.sha,
+                    details_url: 'https://foo.bar',
+                    status: 'completed',
+                    conclusion: 'failure',
+                    output: {
+                        title: 'Did not work as expected.',
+                        summary: '**2** tests failed',
+                        text: 'details',
+                        annotations: [
+                            {
+                                path: 'lib/index.js',
+                                start_line: 10,
+                                end_line: 10,
+                                annotation_level: 'warning',
+                                message: 'unused variable',
+                                title: undefined
+                            }
+                        ]
+                    }
+                });
+                assert.notCalled(githubMock.checks.update);
+            }));
+
+        it('updates the existing check run of the job', () => {
+            config.buildStatus = 'RUNNING';
+            config.annotations = undefined;
+            githubMock.checks.listForRef.resolves({ data: { check_runs: [{ id: 4 }] } });
+
+            return scm.updateCheckRun(config).then(() => {
+                assert.notCalled(githubMock.checks.create);
+                assert.calledOnce(githubMock.checks.update);
+
+                const params = githubMock.checks.update.firstCall.args[0];
+
+                assert.strictEqual(params.check_run_id, 4);
+                assert.strictEqual(params.status, 'in_progress');
+                assert.isUndefined(params.conclusion);
+            });
+        });
+
+        it('maps aborted builds to a cancelled conclusion', () => {
+            config.buildStatus = 'ABORTED';
+
+            return scm.updateCheckRun(config).then(() => {
+                assert.strictEqual(githubMock.checks.create.firstCall.args[0].conclusion, 'cancelled');
+            });
+        });
+
+        it('sends annotations in batches of 50', () => {
+            config.annotations = Array.from({ length: 120 }, (_, i) => ({
+                path: 'lib/index.js',
+                startLine: i + 1,
+                message: `finding ${i}`
+            }));
+
+            return scm.updateCheckRun(config).then(() => {
+                assert.lengthOf(githubMock.checks.create.firstCall.args[0].output.annotations, 50);
+                assert.calledTwice(githubMock.checks.update);
+                assert.lengthOf(githubMock.checks.update.firstCall.args[0].output.annotations, 50);
+                assert.lengthOf(githubMock.checks.update.secondCall.args[0].output.annotations, 20);
+                assert.strictEqual(githubMock.checks.update.secondCall.args[0].output.annotations[0].start_line, 101);
+            });
+        });
+
+        it('rejects when failing to create the check run', () => {
+            const err = new Error('githubError');
+
+            githubMock.checks.create.rejects(err);
+
+            return scm.updateCheckRun(config).then(
+                () => assert.fail('should not get here'),
+                error => {
+                    assert.deepEqual(error, err);
+                    assert.calledWith(winstonMock.error, 'Failed to updateCheckRun: ');
+                }
+            );
+        });
+    });
+
     describe('stats', () => {
         it('returns the correct stats', () => {
             const config = {
@@ -1752,6 +2643,79 @@ jobs:
                 });
         });
 
+        describe('truncated pushes', () => {
+            const webhookConfig = {
+                ...testWebhookConfigPush,
+                beforeSha: '9049f1265b7d61be4a8904a9a27120d2064dab3b',
+                commitsTruncated: true
+            };
+            const config = {
+                type: 'repo',
+                token,
+                webhookConfig,
+                scmUri: 'github.com:28476:master'
+            };
+
+            beforeEach(() => {
+                githubMock.request.resolves({ data: { full_name: 'iAm/theCaptain' } });
+                githubMock.repos.compareCommits.resolves({
+                    data: {
+                        files: [
+                            { filename: 'README.md', status: 'modified' },
+                            { filename: 'lib/new.js', status: 'renamed', previous_filename: 'src/old.js' }
+                        ]
+                    }
+                });
+            });
+
+            it('returns the changed files between the previous and the pushed commit', () =>
+                scm.getChangedFiles(config).then(result => {
+                    assert.deepEqual(result, ['README.md', 'lib/new.js', 'src/old.js']);
+                    assert.calledWith(githubMock.repos.compareCommits, {
+                        owner: 'iAm',
+                        repo: 'theCaptain',
+                        base: '9049f1265b7d61be4a8904a9a27120d2064dab3b',
+                        head: '0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c'
+                    });
+                }));
+
+            it('resolves null when the comparison lists only some of the changed files', () => {
+                githubMock.repos.compareCommits.resolves({
+                    data: {
+                        files: Array.from({ length: 300 }, (_, index) => ({
+                            filename: `src/file${index}.js`,
+                            status: 'modified'
+                        }))
+                    }
+                });
+
+                return scm.getChangedFiles(config).then(result => {
+                    assert.isNull(result);
+                    assert.calledOnce(winstonMock.warn);
+                });
+            });
+
+            it('falls back to the files of the payload when the comparison fails', () => {
+                githubMock.repos.compareCommits.rejects(new Error('githubError'));
+
+                return scm.getChangedFiles(config).then(result => {
+                    assert.deepEqual(result, ['README.md', 'package.json', 'screwdriver.yaml']);
+                    assert.calledWith(winstonMock.error, 'Failed to compare pushed commits: ');
+                });
+            });
+
+            it('does not compare pushes creating a branch', () =>
+                scm
+                    .getChangedFiles({
+                        ...config,
+                        webhookConfig: { ...webhookConfig, beforeSha: '0000000000000000000000000000000000000000' }
+                    })
+                    .then(result => {
+                        assert.deepEqual(result, ['README.md', 'package.json', 'screwdriver.yaml']);
+                        assert.notCalled(githubMock.repos.compareCommits);
+                    }));
+        });
+
         it('returns changed files for any given pr', () => {
             githubMock.paginate.resolves(testPrFiles);
             githubMock.request.resolves({ data: { full_name: 'iAm/theCaptain' } });
@@ -1863,57 +2827,193 @@ jobs:
         });
     });
 
-    describe('waitPrMergeability', () => {
+    describe('getChangedFileDetails', () => {
         const token = 'tokenforgetchangedfiles';
-        const testResponse = {
-            full_name: 'screwdriver-cd/models'
+        const webhookConfig = {
+            ...testWebhookConfigPush,
+            beforeSha: '9049f1265b7d61be4a8904a9a27120d2064dab3b'
         };
 
-        it('returns mergeable when polling succeeded on first time', () => {
-            githubMock.request.resolves({ data: testResponse });
+        beforeEach(() => {
+            githubMock.request.resolves({ data: { full_name: 'iAm/theCaptain' } });
+        });
+
+        it('returns the status and line counts of the files of a pr', () => {
+            githubMock.paginate.resolves(testPrFiles);
             githubMock.pulls.get.resolves({ data: testPrGet });
 
             return scm
-                .waitPrMergeability(
-                    {
-                        token,
-                        scmUri: 'github.com:28476:master',
-                        prNum: 1
-                    },
-                    0
-                )
+                .getChangedFileDetails({ type: 'pr', token, scmUri: 'github.com:28476:master', prNum: 1 })
                 .then(result => {
-                    assert.deepEqual(result, {
-                        success: true,
-                        pullRequestInfo: {
-                            baseBranch: 'master',
-                            createTime: '2011-01-26T19:01:12Z',
-                            mergeable: true,
-                            name: 'PR-1',
-                            prBranchName: 'new-topic',
-                            prSource: 'branch',
-                            ref: 'pull/1/merge',
-                            sha: '6dcb09b5b57875f334f61aebed695e2e4193db5e',
-                            title: 'new-feature',
-                            url: 'https://github.com/octocat/Hello-World/pull/1',
-                            userProfile: 'https://github.com/octocat',
-                            username: 'octocat'
+                    assert.deepEqual(result, [
+                        {
+                            filename: 'README.md',
+                            status: 'modified',
+                            previousFilename: null,
+                            additions: 1,
+                            deletions: 0
+                        },
+                        {
+                            filename: 'folder/folder2/hi',
+                            status: 'added',
+                            previousFilename: null,
+                            additions: 1,
+                            deletions: 0
                         }
-                    });
+                    ]);
                 });
         });
 
-        it('returns mergeable when polling succeded on second time', () => {
-            githubMock.request.resolves({ data: testResponse });
-            githubMock.pulls.get.onFirstCall().resolves({ data: testPrGetNullMergeable });
-            githubMock.pulls.get.resolves({ data: testPrGet });
+        it('resolves null when a push changed more files than the comparison lists', () => {
+            githubMock.repos.compareCommits.resolves({
+                data: {
+                    files: Array.from({ length: 300 }, (_, index) => ({
+                        filename: `src/file${index}.js`,
+                        status: 'added',
+                        additions: 1,
+                        deletions: 0
+                    }))
+                }
+            });
 
             return scm
-                .waitPrMergeability(
-                    {
-                        token,
-                        scmUri: 'github.com:28476:master',
-                        prNum: 1
+                .getChangedFileDetails({ type: 'repo', token, webhookConfig, scmUri: 'github.com:28476:master' })
+                .then(result => {
+                    assert.isNull(result);
+                });
+        });
+
+        it('returns renamed files of a push with their previous name', () => {
+            githubMock.repos.compareCommits.resolves({
+                data: {
+                    files: [
+                        {
+                            filename: 'lib/new.js',
+                            status: 'renamed',
+                            previous_filename: 'src/old.js',
+                            additions: 0,
+                            deletions: 0
+                        }
+                    ]
+                }
+            });
+
+            return scm
+                .getChangedFileDetails({ type: 'repo', token, webhookConfig, scmUri: 'github.com:28476:master' })
+                .then(result => {
+                    assert.deepEqual(result, [
+                        {
+                            filename: 'lib/new.js',
+                            status: 'renamed',
+                            previousFilename: 'src/old.js',
+                            additions: 0,
+                            deletions: 0
+                        }
+                    ]);
+                    assert.calledWith(githubMock.repos.compareCommits, {
+                        owner: 'iAm',
+                        repo: 'theCaptain',
+                        base: webhookConfig.beforeSha,
+                        head: webhookConfig.sha
+                    });
+                });
+        });
+
+        it('falls back to the files of the push payload', () => {
+            githubMock.repos.compareCommits.rejects(new Error('githubError'));
+
+            return scm
+                .getChangedFileDetails({ type: 'repo', token, webhookConfig, scmUri: 'github.com:28476:master' })
+                .then(result => {
+                    assert.deepEqual(result, [
+                        {
+                            filename: 'README.md',
+                            status: 'added',
+                            previousFilename: null,
+                            additions: null,
+                            deletions: null
+                        },
+                        {
+                            filename: 'screwdriver.yaml',
+                            status: 'removed',
+                            previousFilename: null,
+                            additions: null,
+                            deletions: null
+                        },
+                        {
+                            filename: 'package.json',
+                            status: 'modified',
+                            previousFilename: null,
+                            additions: null,
+                            deletions: null
+                        }
+                    ]);
+                });
+        });
+
+        it('returns an empty array when failing to fetch the files of a pr', () => {
+            githubMock.pulls.get.rejects(new Error('githubError'));
+
+            return scm
+                .getChangedFileDetails({ type: 'pr', token, scmUri: 'github.com:28476:master', prNum: 1 })
+                .then(result => {
+                    assert.deepEqual(result, []);
+                    assert.calledWith(winstonMock.error, 'Failed to getChangedFileDetails: ');
+                });
+        });
+    });
+
+    describe('waitPrMergeability', () => {
+        const token = 'tokenforgetchangedfiles';
+        const testResponse = {
+            full_name: 'screwdriver-cd/models'
+        };
+
+        it('returns mergeable when polling succeeded on first time', () => {
+            githubMock.request.resolves({ data: testResponse });
+            githubMock.pulls.get.resolves({ data: testPrGet });
+
+            return scm
+                .waitPrMergeability(
+                    {
+                        token,
+                        scmUri: 'github.com:28476:master',
+                        prNum: 1
+                    },
+                    0
+                )
+                .then(result => {
+                    assert.deepEqual(result, {
+                        success: true,
+                        pullRequestInfo: {
+                            baseBranch: 'master',
+                            createTime: '2011-01-26T19:01:12Z',
+                            mergeable: true,
+                            name: 'PR-1',
+                            prBranchName: 'new-topic',
+                            prSource: 'branch',
+                            ref: 'pull/1/merge',
+                            sha: '6dcb09b5b57875f334f61aebed695e2e4193db5e',
+                            title: 'new-feature',
+                            url: 'https://github.com/octocat/Hello-World/pull/1',
+                            userProfile: 'https://github.com/octocat',
+                            username: 'octocat'
+                        }
+                    });
+                });
+        });
+
+        it('returns mergeable when polling succeded on second time', () => {
+            githubMock.request.resolves({ data: testResponse });
+            githubMock.pulls.get.onFirstCall().resolves({ data: testPrGetNullMergeable });
+            githubMock.pulls.get.resolves({ data: testPrGet });
+
+            return scm
+                .waitPrMergeability(
+                    {
+                        token,
+                        scmUri: 'github.com:28476:master',
+                        prNum: 1
                     },
                     0
                 )
@@ -2031,7 +3131,9 @@ jobs:
                 username: 'baxterthehacker2',
                 hookId: '3c77bf80-9a2f-11e6-80d6-72f7fe03ea29',
                 scmContext: 'github:github.com',
-                prMerged: false
+                prMerged: false,
+                prDraft: false,
+                prLabels: []
             };
 
             testHeaders = {
@@ -2059,8 +3161,185 @@ jobs:
                     ref: 'refs/heads/master',
                     addedFiles: ['README.md'],
                     modifiedFiles: ['README.md', 'package.json'],
-                    removedFiles: ['screwdriver.yaml']
+                    removedFiles: ['screwdriver.yaml'],
+                    beforeSha: '9049f1265b7d61be4a8904a9a27120d2064dab3b',
+                    commitsTruncated: false
+                });
+            });
+        });
+
+        describe('pushes of several commits', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
+            let payload;
+
+            beforeEach(() => {
+                const [commit] = testPayloadPush.commits;
+
+                payload = JSON.parse(JSON.stringify(testPayloadPush));
+                payload.commits = [
+                    { ...commit, id: 'a1', added: ['src/a.js'], modified: ['package.json'], removed: [] },
+                    { ...commit, id: 'a2', added: [], modified: ['src/a.js', 'README.md'], removed: ['old.js'] },
+                    commit
+                ];
+                testHeaders['x-github-event'] = 'push';
+            });
+
+            it('collects the changed files of every pushed commit', () => {
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.deepEqual(result.addedFiles, ['src/a.js', 'README.md']);
+                    assert.deepEqual(result.modifiedFiles, ['package.json', 'src/a.js', 'README.md']);
+                    assert.deepEqual(result.removedFiles, ['old.js', 'screwdriver.yaml']);
+                    assert.isFalse(result.commitsTruncated);
+                });
+            });
+
+            it('flags pushes whose commit list is truncated', () => {
+                payload.commits = Array(20).fill(testPayloadPush.commits[0]);
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isTrue(result.commitsTruncated);
+                });
+            });
+
+            it('flags forced pushes', () => {
+                payload.forced = true;
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isTrue(result.commitsTruncated);
+                    assert.strictEqual(result.beforeSha, '9049f1265b7d61be4a8904a9a27120d2064dab3b');
+                });
+            });
+        });
+
+        describe('cache invalidation', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
+            const scmUri = 'github.com:35129377:master';
+            const lookup = () => scm.lookupScmUri({ scmUri, token: 'sometoken' });
+            const send = (event, payload) => {
+                testHeaders['x-github-event'] = event;
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload));
+            };
+
+            beforeEach(async () => {
+                scm = new GithubScm({
+                    fusebox: { retry: { minTimeout: 1 } },
+                    oauthClientId: 'abcdefg',
+                    oauthClientSecret: 'hijklmno',
+                    secret: 'somesecret',
+                    gheHost: 'github.com',
+                    cache: { ttl: { lookupScmUri: 60000, getFile: 60000 } }
+                });
+                githubMock.request.resolves({
+                    data: { full_name: 'baxterthehacker/public-repo', default_branch: 'master', private: false },
+                    status: 200
+                });
+                await lookup();
+            });
+
+            it('drops cached lookups of a renamed repository', async () => {
+                const payload = {
+                    action: 'renamed',
+                    changes: { repository: { name: { from: 'old-repo' } } },
+                    repository: testPayloadPush.repository,
+                    sender: testPayloadPush.sender
+                };
+
+                const result = await send('repository', payload);
+
+                await lookup();
+
+                assert.isNull(result);
+                assert.calledTwice(githubMock.request);
+            });
+
+            it('drops cached lookups when the default branch changes', async () => {
+                const payload = {
+                    action: 'edited',
+                    changes: { default_branch: { from: 'main' } },
+                    repository: testPayloadPush.repository,
+                    sender: testPayloadPush.sender
+                };
+
+                await send('repository', payload);
+                await lookup();
+
+                assert.calledTwice(githubMock.request);
+            });
+
+            it('keeps cached lookups on other repository edits', async () => {
+                const payload = {
+                    action: 'edited',
+                    changes: { description: { from: 'old' } },
+                    repository: testPayloadPush.repository,
+                    sender: testPayloadPush.sender
+                };
+
+                await send('repository', payload);
+                await lookup();
+
+                assert.calledOnce(githubMock.request);
+            });
+
+            it('drops cached lookups when a collaborator is removed', async () => {
+                const payload = {
+                    action: 'removed',
+                    member: { login: 'octocat' },
+                    repository: testPayloadPush.repository,
+                    sender: testPayloadPush.sender
+                };
+
+                await send('member', payload);
+                await lookup();
+
+                assert.calledTwice(githubMock.request);
+            });
+
+            it('drops cached repository info by the name of the repository', async () => {
+                const scmInfo = { owner: 'BaxterTheHacker', repo: 'public-repo' };
+                const payload = {
+                    action: 'removed',
+                    member: { login: 'octocat' },
+                    repository: testPayloadPush.repository,
+                    sender: testPayloadPush.sender
+                };
+
+                scm = new GithubScm({
+                    fusebox: { retry: { minTimeout: 1 } },
+                    oauthClientId: 'abcdefg',
+                    oauthClientSecret: 'hijklmno',
+                    secret: 'somesecret',
+                    gheHost: 'github.com',
+                    cache: { ttl: { getRepoInfo: 60000 } }
                 });
+                githubMock.repos.get.resolves({ data: { id: 35129377, default_branch: 'master' } });
+                await scm._getRepoInfo(scmInfo, 'sometoken');
+                await scm._getRepoInfo(scmInfo, 'sometoken');
+                await send('member', payload);
+                await scm._getRepoInfo(scmInfo, 'sometoken');
+
+                assert.calledTwice(githubMock.repos.get);
+            });
+
+            it('drops cached files but keeps cached lookups on pushes', async () => {
+                githubMock.repos.getContent.resolves({ data: { type: 'file', content: 'Zm9v', encoding: 'base64' } });
+                await scm.getFile({ scmUri, path: 'screwdriver.yaml', token: 'sometoken' });
+
+                const result = await send('push', testPayloadPush);
+
+                await scm.getFile({ scmUri, path: 'screwdriver.yaml', token: 'sometoken' });
+                await lookup();
+
+                assert.strictEqual(result.type, 'repo');
+                assert.calledTwice(githubMock.repos.getContent);
+                assert.calledOnce(githubMock.request);
             });
         });
 
@@ -2106,7 +3385,17 @@ jobs:
             testHeaders['x-hub-signature'] = 'sha1=f2589b49939e662188aed20967779a3e500149af';
 
             return scm.parseHook(testHeaders, JSON.stringify(testPayloadPushDeleted)).then(result => {
-                assert.equal(result, null);
+                assert.deepEqual(result, {
+                    action: 'branchDeleted',
+                    branch: 'master',
+                    checkoutUrl: 'git@github.com:baxterthehacker/public-repo.git',
+                    sha: '9049f1265b7d61be4a8904a9a27120d2064dab3b',
+                    type: 'repo',
+                    username: 'baxterthehacker2',
+                    hookId: '3c77bf80-9a2f-11e6-80d6-72f7fe03ea29',
+                    scmContext: 'github:github.com',
+                    ref: 'refs/heads/master'
+                });
             });
         });
 
@@ -2126,9 +3415,100 @@ jobs:
                     ref: '0.0.1',
                     releaseId: '11248810',
                     releaseName: '',
-                    releaseAuthor: 'Codertocat'
+                    releaseAuthor: 'Codertocat',
+                    releaseAction: 'published',
+                    releasePrerelease: false,
+                    releaseDraft: false,
+                    releaseTargetCommitish: 'master',
+                    releaseBody: '',
+                    releaseAssets: []
+                });
+            });
+        });
+
+        describe('release actions', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
+            const payload = {
+                ...testPayloadRelease,
+                action: 'prereleased',
+                release: {
+                    ...testPayloadRelease.release,
+                    prerelease: true,
+                    target_commitish: 'release/1.x',
+                    body: 'Release candidate',
+                    assets: [
+                        {
+                            id: 7,
+                            name: 'sd-local_linux_amd64',
+                            content_type: 'application/octet-stream',
+                            size: 1024,
+                            browser_download_url:
+                                'https://github.com/Codertocat/Hello-World/releases/download/0.0.1/sd-local_linux_amd64'
+                        }
+                    ]
+                }
+            };
+
+            beforeEach(() => {
+                scm = new GithubScm({
+                    fusebox: { retry: { minTimeout: 1 } },
+                    readOnly: {},
+                    oauthClientId: 'abcdefg',
+                    oauthClientSecret: 'hijklmno',
+                    secret: 'somesecret',
+                    commentUserToken: 'sometoken',
+                    gheHost: 'github.com',
+                    releaseActions: ['prereleased', 'deleted']
+                });
+                testHeaders['x-github-event'] = 'release';
+            });
+
+            it('parses configured release actions with the release details', () => {
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.include(result, {
+                        action: 'release',
+                        ref: '0.0.1',
+                        releaseAction: 'prereleased',
+                        releasePrerelease: true,
+                        releaseDraft: false,
+                        releaseTargetCommitish: 'release/1.x',
+                        releaseBody: 'Release candidate'
+                    });
+                    assert.deepEqual(result.releaseAssets, [
+                        {
+                            id: 7,
+                            name: 'sd-local_linux_amd64',
+                            contentType: 'application/octet-stream',
+                            size: 1024,
+                            url: 'https://github.com/Codertocat/Hello-World/releases/download/0.0.1/sd-local_linux_amd64'
+                        }
+                    ]);
+                });
+            });
+
+            it('resolves null for release actions that are not configured', () => {
+                testHeaders['x-hub-signature'] = sign(testPayloadRelease);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadRelease)).then(result => {
+                    assert.isNull(result);
                 });
             });
+
+            it('rejects unknown release actions in the configuration', () => {
+                assert.throws(
+                    () =>
+                        new GithubScm({
+                            oauthClientId: 'abcdefg',
+                            oauthClientSecret: 'hijklmno',
+                            secret: 'somesecret',
+                            releaseActions: ['created']
+                        }),
+                    /"releaseActions\[0\]" must be one of/
+                );
+            });
         });
 
         it('resolves null for a release event payload with an unsupported action', () => {
@@ -2140,101 +3520,638 @@ jobs:
             });
         });
 
-        it('parses a payload for a tag event payload', () => {
+        it('resolves null for a tag event payload', () => {
             testHeaders['x-github-event'] = 'create';
             testHeaders['x-hub-signature'] = 'sha1=bd5a3a851e9333d871daeaa61b03a742b700addf';
 
             return scm.parseHook(testHeaders, JSON.stringify(testPayloadTag)).then(result => {
-                assert.deepEqual(result, {
-                    action: 'tag',
-                    branch: 'master',
-                    checkoutUrl: 'git@github.com:Codertocat/Hello-World.git',
-                    type: 'repo',
-                    username: 'Codertocat',
-                    hookId: '3c77bf80-9a2f-11e6-80d6-72f7fe03ea29',
-                    scmContext: 'github:github.com',
-                    ref: 'simple-tag'
-                });
+                assert.isNull(result);
             });
         });
 
-        it('resolves null for a create branch event payload', () => {
-            testHeaders['x-github-event'] = 'create';
-            testHeaders['x-hub-signature'] = 'sha1=37f2e1af8e0962fa9efc3192a6a22ba08f07c2b5';
-            testPayloadTag.ref_type = 'branch';
+        describe('branch creation', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
 
-            return scm.parseHook(testHeaders, JSON.stringify(testPayloadTag)).then(result => {
-                assert.isNull(result);
+            it('parses the first push of a branch as its creation', () => {
+                const payload = {
+                    ...testPayloadPush,
+                    ref: 'refs/heads/feature',
+                    before: '0000000000000000000000000000000000000000',
+                    created: true
+                };
+
+                testHeaders['x-github-event'] = 'push';
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.include(result, {
+                        action: 'branchCreated',
+                        branch: 'feature',
+                        sha: '0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c',
+                        type: 'repo',
+                        ref: 'refs/heads/feature',
+                        lastCommitMessage: 'lastcommitmessage'
+                    });
+                    assert.deepEqual(result.addedFiles, ['README.md']);
+                    assert.notCalled(githubMock.git.getRef);
+                });
             });
-        });
 
-        it('resolves null for a push repository tag event payload', () => {
-            testHeaders['x-github-event'] = 'push';
-            testHeaders['x-hub-signature'] = 'sha1=c3d5ae557c6f37a24d5887f1d642a6674d8f11fb';
+            it('resolves null for a create branch event payload', () => {
+                const payload = { ...testPayloadTag, ref: 'feature', ref_type: 'branch' };
 
-            return scm.parseHook(testHeaders, JSON.stringify(testPayloadPushTag)).then(result => {
-                assert.isNull(result);
+                testHeaders['x-github-event'] = 'create';
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                    assert.notCalled(githubMock.git.getRef);
+                });
             });
         });
 
-        it('resolves null for a pull request payload with an unsupported action', () => {
-            testHeaders['x-hub-signature'] = 'sha1=4fe5c8f4a7e4b76a4bd46b4693e87dadf9bec110';
+        describe('tag pushes', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
+            const tagSha = 'b2c6e28b1a4d7c0f9d3e5a7b8c9d0e1f2a3b4c5d';
+            const commonTagParse = {
+                action: 'tag',
+                branch: 'master',
+                checkoutUrl: 'git@github.com:screwdriver-cd/sd-local.git',
+                sha: '92aaac9a0b37de8a793e51f53a44795050670ede',
+                type: 'repo',
+                username: 'klu909',
+                hookId: '3c77bf80-9a2f-11e6-80d6-72f7fe03ea29',
+                scmContext: 'github:github.com',
+                ref: 'v0.0.16',
+                lastCommitMessage: 'fix: add logrus. fix exit status (#29)'
+            };
+            const createPayload = {
+                ...testPayloadTag,
+                ref: 'v0.0.16',
+                ref_type: 'tag',
+                repository: testPayloadPushTag.repository
+            };
 
-            return scm.parseHook(testHeaders, JSON.stringify(testPayloadBadAction)).then(result => {
-                assert.isNull(result);
+            beforeEach(() => {
+                testHeaders['x-github-event'] = 'push';
             });
-        });
 
-        it('rejects for a pull request payload from incorrect ghe enterprise cloud', () => {
-            const scmGHEC = new GithubScm({
-                oauthClientId: 'abcdefg',
-                oauthClientSecret: 'defghijk',
-                gheCloud: true,
-                gheCloudSlug: 'ghe-slug',
-                gheCloudCookie: 'github-example-github.com',
-                gheCloudContext: 'github:example.github.com',
-                secret: 'somesecret'
-            });
+            it('parses a pushed lightweight tag', () => {
+                testHeaders['x-hub-signature'] = 'sha1=c3d5ae557c6f37a24d5887f1d642a6674d8f11fb';
 
-            const testPayloadPrBadSlug = Object.assign(JSON.parse(JSON.stringify(testPrOpenedEnterpriseCloud)), {
-                enterprise: {
-                    id: 1234,
-                    slug: 'bad-slug'
-                }
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadPushTag)).then(result => {
+                    assert.deepEqual(result, { ...commonTagParse, tagAnnotated: false, tagger: null });
+                    assert.notCalled(githubMock.git.getTag);
+                });
             });
 
-            const overrideTestHeaders = {
-                ...testHeaders,
-                'x-hub-signature': `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(testPayloadPrBadSlug)).digest('hex')}`
-            };
+            it('parses a pushed annotated tag with its tagger', async () => {
+                const payload = { ...testPayloadPushTag, after: tagSha };
 
-            return scmGHEC
-                .parseHook(overrideTestHeaders, JSON.stringify(testPayloadPrBadSlug))
-                .then(() => {
-                    assert.fail('This should not fail the tests');
-                })
-                .catch(err => {
-                    assert.include(err.message, 'Skipping incorrect scm context for hook parsing');
-                    assert.strictEqual(err.statusCode, 400);
+                githubMock.git.getTag.resolves({
+                    data: {
+                        sha: tagSha,
+                        tagger: { name: 'klu909', email: 'klu909@example.com', date: '2020-04-08T17:30:00Z' },
+                        object: { sha: '92aaac9a0b37de8a793e51f53a44795050670ede', type: 'commit' }
+                    }
                 });
-        });
+                testHeaders['x-hub-signature'] = sign(payload);
 
-        it('parses a payload for a pull request event payload', () => {
-            testHeaders['x-hub-signature'] = 'sha1=41d0508ffed278fde2fd5a84fd75c109a7039f90';
+                const result = await scm.parseHook(testHeaders, JSON.stringify(payload));
 
-            return scm.parseHook(testHeaders, JSON.stringify(testPayloadOpen)).then(result => {
-                commonPullRequestParse.action = 'opened';
-                assert.deepEqual(result, commonPullRequestParse);
+                assert.deepEqual(result, {
+                    ...commonTagParse,
+                    tagAnnotated: true,
+                    tagger: { name: 'klu909', email: 'klu909@example.com' }
+                });
+                assert.calledWith(githubMock.git.getTag, {
+                    owner: 'screwdriver-cd',
+                    repo: 'sd-local',
+                    tag_sha: tagSha
+                });
             });
-        });
 
-        it('parses a payload for a forked pull request event payload', () => {
-            testHeaders['x-hub-signature'] = 'sha1=3b5d95f319ab1cdc8b5753495df12ce74b8075d6';
+            it('parses an annotated tag whose tagger cannot be fetched', async () => {
+                const payload = { ...testPayloadPushTag, after: tagSha };
 
-            return scm.parseHook(testHeaders, JSON.stringify(testPayloadOpenFork)).then(result => {
-                commonPullRequestParse.prSource = 'fork';
-                commonPullRequestParse.action = 'opened';
-                assert.deepEqual(result, commonPullRequestParse);
+                githubMock.git.getTag.rejects(new Error('Not Found'));
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                const result = await scm.parseHook(testHeaders, JSON.stringify(payload));
+
+                assert.deepEqual(result, { ...commonTagParse, tagAnnotated: true, tagger: null });
+            });
+
+            it('resolves null for a deleted tag', () => {
+                const payload = { ...testPayloadPushTag, deleted: true, created: false };
+
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                });
+            });
+
+            it('drops the create event of a tag parsed before its push', async () => {
+                testHeaders['x-github-event'] = 'create';
+                testHeaders['x-hub-signature'] = sign(createPayload);
+                assert.isNull(await scm.parseHook(testHeaders, JSON.stringify(createPayload)));
+
+                testHeaders['x-github-event'] = 'push';
+                testHeaders['x-github-delivery'] = '5d99cf12-9a2f-11e6-80d6-72f7fe03ea29';
+                testHeaders['x-hub-signature'] = sign(testPayloadPushTag);
+                assert.deepEqual(await scm.parseHook(testHeaders, JSON.stringify(testPayloadPushTag)), {
+                    ...commonTagParse,
+                    hookId: '5d99cf12-9a2f-11e6-80d6-72f7fe03ea29',
+                    tagAnnotated: false,
+                    tagger: null
+                });
+            });
+
+            it('parses a tag push checked by canHandleWebhook first', async () => {
+                testHeaders['x-hub-signature'] = sign(testPayloadPushTag);
+                assert.isTrue(await scm.canHandleWebhook(testHeaders, JSON.stringify(testPayloadPushTag)));
+                assert.deepEqual(await scm.parseHook(testHeaders, JSON.stringify(testPayloadPushTag)), {
+                    ...commonTagParse,
+                    tagAnnotated: false,
+                    tagger: null
+                });
+            });
+        });
+
+        describe('check events', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
+            const commonCheckParse = {
+                branch: 'master',
+                checkoutUrl: 'git@github.com:baxterthehacker/public-repo.git',
+                sha: '0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c',
+                prNum: 1,
+                type: 'check',
+                username: 'baxterthehacker2',
+                hookId: '3c77bf80-9a2f-11e6-80d6-72f7fe03ea29',
+                scmContext: 'github:github.com',
+                requestedActionId: null
+            };
+
+            it('parses a rerequested check run into the pipeline and PR job to restart', () => {
+                testHeaders['x-github-event'] = 'check_run';
+                testHeaders['x-hub-signature'] = sign(testPayloadCheckRun);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadCheckRun)).then(result => {
+                    assert.deepEqual(result, {
+                        ...commonCheckParse,
+                        action: 'rerequested',
+                        pipelineId: 675,
+                        jobName: 'PR-1:main',
+                        checkRunId: 128620228
+                    });
+                });
+            });
+
+            it('parses a requested action on a check run of a branch job', () => {
+                const payload = JSON.parse(JSON.stringify(testPayloadCheckRun));
+
+                payload.action = 'requested_action';
+                payload.requested_action = { identifier: 'restart' };
+                payload.check_run.name = 'Screwdriver/675/main';
+                payload.check_run.pull_requests = [];
+                payload.check_run.check_suite.head_branch = 'master';
+                testHeaders['x-github-event'] = 'check_run';
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.deepEqual(result, {
+                        ...commonCheckParse,
+                        action: 'requestedAction',
+                        prNum: null,
+                        pipelineId: 675,
+                        jobName: 'main',
+                        checkRunId: 128620228,
+                        requestedActionId: 'restart'
+                    });
+                });
+            });
+
+            it('parses a rerequested check suite', () => {
+                testHeaders['x-github-event'] = 'check_suite';
+                testHeaders['x-hub-signature'] = sign(testPayloadCheckSuite);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadCheckSuite)).then(result => {
+                    assert.deepEqual(result, {
+                        ...commonCheckParse,
+                        action: 'rerequested',
+                        pipelineId: null,
+                        jobName: null,
+                        checkRunId: null
+                    });
+                });
+            });
+
+            it('resolves null for check runs not created by Screwdriver', () => {
+                const payload = JSON.parse(JSON.stringify(testPayloadCheckRun));
+
+                payload.check_run.name = 'lint';
+                testHeaders['x-github-event'] = 'check_run';
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                });
+            });
+
+            it('resolves null for an unsupported check run action', () => {
+                const payload = { ...testPayloadCheckRun, action: 'completed' };
+
+                testHeaders['x-github-event'] = 'check_run';
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                });
+            });
+        });
+
+        describe('merge queue events', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
+            const commonMergeQueueParse = {
+                branch: 'master',
+                checkoutUrl: 'git@github.com:baxterthehacker/public-repo.git',
+                sha: '7b25bb1c6ed1b2ad2a9ba0b7ff4c8de0a71a1e14',
+                baseSha: '9049f1265b7d61be4a8904a9a27120d2064dab3b',
+                ref: 'gh-readonly-queue/master/pr-42-9049f1265b7d61be4a8904a9a27120d2064dab3b',
+                prNum: 42,
+                prNums: [41, 42],
+                lastCommitMessage: 'Merge pull request #42 from baxterthehacker/changes',
+                type: 'mergeQueue',
+                username: 'github-merge-queue[bot]',
+                hookId: '3c77bf80-9a2f-11e6-80d6-72f7fe03ea29',
+                scmContext: 'github:github.com'
+            };
+
+            beforeEach(() => {
+                testHeaders['x-github-event'] = 'merge_group';
+                githubMock.repos.compareCommits.resolves({
+                    data: {
+                        commits: [
+                            { commit: { message: 'Add the widget (#41)\n\nCo-authored-by: octocat' } },
+                            { commit: { message: 'Merge pull request #42 from baxterthehacker/changes' } }
+                        ]
+                    }
+                });
+            });
+
+            it('parses a merge group that requests checks', () => {
+                testHeaders['x-hub-signature'] = sign(testPayloadMergeGroup);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadMergeGroup)).then(result => {
+                    assert.deepEqual(result, { ...commonMergeQueueParse, action: 'checksRequested' });
+                    assert.calledWith(githubMock.repos.compareCommits, {
+                        owner: 'baxterthehacker',
+                        repo: 'public-repo',
+                        base: '9049f1265b7d61be4a8904a9a27120d2064dab3b',
+                        head: '7b25bb1c6ed1b2ad2a9ba0b7ff4c8de0a71a1e14'
+                    });
+                });
+            });
+
+            it('keeps the pull request of the branch when the commits do not name it', () => {
+                githubMock.repos.compareCommits.resolves({
+                    data: { commits: [{ commit: { message: 'Add the widget (#41)' } }, { commit: { message: 'Fix' } }] }
+                });
+                testHeaders['x-hub-signature'] = sign(testPayloadMergeGroup);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadMergeGroup)).then(result => {
+                    assert.deepEqual(result.prNums, [41, 42]);
+                });
+            });
+
+            it('parses a merge group with the pull request of its branch when the comparison fails', () => {
+                githubMock.repos.compareCommits.rejects(new Error('Not Found'));
+                testHeaders['x-hub-signature'] = sign(testPayloadMergeGroup);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadMergeGroup)).then(result => {
+                    assert.deepEqual(result, { ...commonMergeQueueParse, action: 'checksRequested', prNums: [42] });
+                });
+            });
+
+            it('parses a destroyed merge group with the reason', () => {
+                const payload = { ...testPayloadMergeGroup, action: 'destroyed', reason: 'dequeued' };
+
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.deepEqual(result, {
+                        ...commonMergeQueueParse,
+                        action: 'destroyed',
+                        mergeGroupReason: 'dequeued'
+                    });
+                });
+            });
+
+            it('parses a merge group on a branch not named after a pull request', () => {
+                const payload = JSON.parse(JSON.stringify(testPayloadMergeGroup));
+
+                payload.merge_group.head_ref = 'refs/heads/gh-readonly-queue/master/custom';
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result.prNum);
+                    assert.deepEqual(result.prNums, [41, 42]);
+                    assert.strictEqual(result.ref, 'gh-readonly-queue/master/custom');
+                });
+            });
+
+            it('resolves null for an unsupported merge group action', () => {
+                const payload = { ...testPayloadMergeGroup, action: 'completed' };
+
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                });
+            });
+        });
+
+        describe('PR comment commands', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
+
+            beforeEach(() => {
+                testHeaders['x-github-event'] = 'issue_comment';
+                githubMock.repos.getCollaboratorPermissionLevel.resolves({ data: { permission: 'write' } });
+                githubMock.pulls.get.resolves({ data: testPrGet });
+            });
+
+            it('parses a command from a PR comment', () => {
+                testHeaders['x-hub-signature'] = sign(testPayloadIssueComment);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadIssueComment)).then(result => {
+                    assert.deepEqual(result, {
+                        action: 'command',
+                        branch: testPrGet.base.ref,
+                        checkoutUrl: 'git@github.com:baxterthehacker/public-repo.git',
+                        prNum: 1,
+                        prRef: 'pull/1/merge',
+                        ref: 'pull/1/merge',
+                        prSource: 'branch',
+                        sha: testPrGet.head.sha,
+                        type: 'comment',
+                        username: 'baxterthehacker2',
+                        commentId: 99262140,
+                        command: { name: 'restart', args: ['PR:test'] },
+                        hookId: '3c77bf80-9a2f-11e6-80d6-72f7fe03ea29',
+                        scmContext: 'github:github.com'
+                    });
+                    assert.calledWith(githubMock.repos.getCollaboratorPermissionLevel, {
+                        owner: 'baxterthehacker',
+                        repo: 'public-repo',
+                        username: 'baxterthehacker2'
+                    });
+                    assert.calledWithMatch(githubMockClass.Octokit, { auth: 'token sometoken' });
+                    assert.calledWith(githubMock.pulls.get, {
+                        owner: 'baxterthehacker',
+                        repo: 'public-repo',
+                        pull_number: 1
+                    });
+                });
+            });
+
+            it('resolves null when the commenter has no push permission', () => {
+                githubMock.repos.getCollaboratorPermissionLevel.resolves({ data: { permission: 'read' } });
+                testHeaders['x-hub-signature'] = sign(testPayloadIssueComment);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadIssueComment)).then(result => {
+                    assert.isNull(result);
+                    assert.notCalled(githubMock.pulls.get);
+                });
+            });
+
+            it('resolves null when there is no token to check the permission of the commenter', () => {
+                scm = new GithubScm({
+                    fusebox: { retry: { minTimeout: 1 } },
+                    readOnly: {},
+                    oauthClientId: 'abcdefg',
+                    oauthClientSecret: 'hijklmno',
+                    secret: 'somesecret',
+                    gheHost: 'github.com'
+                });
+                testHeaders['x-hub-signature'] = sign(testPayloadIssueComment);
+
+                return scm.parseHook(testHeaders, JSON.stringify(testPayloadIssueComment)).then(result => {
+                    assert.isNull(result);
+                    assert.notCalled(githubMock.repos.getCollaboratorPermissionLevel);
+                    assert.calledOnce(winstonMock.info);
+                });
+            });
+
+            it('resolves null for comments without a command', () => {
+                const payload = JSON.parse(JSON.stringify(testPayloadIssueComment));
+
+                payload.comment.body = 'LGTM, please run /sd restart later';
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                    assert.notCalled(githubMock.repos.getCollaboratorPermissionLevel);
+                });
+            });
+
+            it('resolves null for comments on issues', () => {
+                const payload = JSON.parse(JSON.stringify(testPayloadIssueComment));
+
+                delete payload.issue.pull_request;
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                });
+            });
+
+            it('resolves null for edited comments', () => {
+                const payload = { ...testPayloadIssueComment, action: 'edited' };
+
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                });
+            });
+        });
+
+        describe('draft and label pull request actions', () => {
+            const sign = payload =>
+                `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(payload)).digest('hex')}`;
+            let payload;
+
+            beforeEach(() => {
+                payload = JSON.parse(JSON.stringify(testPayloadOpen));
+                payload.pull_request.draft = true;
+                payload.pull_request.labels = [{ id: 208045946, name: 'run-e2e', color: 'f29513' }];
+            });
+
+            it('parses a draft pull request with its labels', () => {
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.deepEqual(result, {
+                        ...commonPullRequestParse,
+                        action: 'opened',
+                        prDraft: true,
+                        prLabels: ['run-e2e']
+                    });
+                });
+            });
+
+            it('parses ready_for_review and converted_to_draft actions', () => {
+                payload.action = 'ready_for_review';
+                payload.pull_request.draft = false;
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm
+                    .parseHook(testHeaders, JSON.stringify(payload))
+                    .then(result => {
+                        assert.strictEqual(result.action, 'ready_for_review');
+                        assert.isFalse(result.prDraft);
+
+                        payload.action = 'converted_to_draft';
+                        payload.pull_request.draft = true;
+                        testHeaders['x-hub-signature'] = sign(payload);
+
+                        return scm.parseHook(testHeaders, JSON.stringify(payload));
+                    })
+                    .then(result => {
+                        assert.strictEqual(result.action, 'converted_to_draft');
+                        assert.isTrue(result.prDraft);
+                    });
+            });
+
+            it('parses a labeled action with the added label', () => {
+                payload.action = 'labeled';
+                [payload.label] = payload.pull_request.labels;
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.strictEqual(result.action, 'labeled');
+                    assert.strictEqual(result.label, 'run-e2e');
+                    assert.deepEqual(result.prLabels, ['run-e2e']);
+                });
+            });
+
+            it('parses an edited action changing the base branch', () => {
+                payload.action = 'edited';
+                payload.changes = { base: { ref: { from: 'develop' }, sha: { from: 'abc123' } } };
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.strictEqual(result.action, 'edited');
+                    assert.strictEqual(result.branch, 'master');
+                    assert.strictEqual(result.prBaseBranchFrom, 'develop');
+                });
+            });
+
+            it('resolves null for an edited action not changing the base branch', () => {
+                payload.action = 'edited';
+                payload.changes = { title: { from: 'Old title' } };
+                testHeaders['x-hub-signature'] = sign(payload);
+
+                return scm.parseHook(testHeaders, JSON.stringify(payload)).then(result => {
+                    assert.isNull(result);
+                });
+            });
+        });
+
+        it('verifies the signature with any of the rotated secrets', () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: ['newsecret', 'somesecret']
+            });
+            testHeaders['x-hub-signature'] = 'sha1=41d0508ffed278fde2fd5a84fd75c109a7039f90';
+
+            return scm.parseHook(testHeaders, JSON.stringify(testPayloadOpen)).then(result => {
+                assert.deepEqual(result, { ...commonPullRequestParse, action: 'opened' });
+            });
+        });
+
+        it('rejects a signature that matches none of the rotated secrets', () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: ['newsecret', 'oldsecret']
+            });
+            testHeaders['x-hub-signature'] = 'sha1=41d0508ffed278fde2fd5a84fd75c109a7039f90';
+
+            return scm.parseHook(testHeaders, JSON.stringify(testPayloadOpen)).then(
+                () => assert.fail('should not get here'),
+                err => {
+                    assert.strictEqual(err.message, 'Invalid webhook signature');
+                    assert.strictEqual(err.statusCode, 400);
+                }
+            );
+        });
+
+        it('resolves null for a pull request payload with an unsupported action', () => {
+            testHeaders['x-hub-signature'] = 'sha1=5986102987b417acd57466907d65bce69e0d0e99';
+
+            return scm.parseHook(testHeaders, JSON.stringify(testPayloadBadAction)).then(result => {
+                assert.isNull(result);
+            });
+        });
+
+        it('rejects for a pull request payload from incorrect ghe enterprise cloud', () => {
+            const scmGHEC = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'defghijk',
+                gheCloud: true,
+                gheCloudSlug: 'ghe-slug',
+                gheCloudCookie: 'github-example-github.com',
+                gheCloudContext: 'github:example.github.com',
+                secret: 'somesecret'
+            });
+
+            const testPayloadPrBadSlug = Object.assign(JSON.parse(JSON.stringify(testPrOpenedEnterpriseCloud)), {
+                enterprise: {
+                    id: 1234,
+                    slug: 'bad-slug'
+                }
+            });
+
+            const overrideTestHeaders = {
+                ...testHeaders,
+                'x-hub-signature': `sha1=${crypto.createHmac('sha1', 'somesecret').update(JSON.stringify(testPayloadPrBadSlug)).digest('hex')}`
+            };
+
+            return scmGHEC
+                .parseHook(overrideTestHeaders, JSON.stringify(testPayloadPrBadSlug))
+                .then(() => {
+                    assert.fail('This should not fail the tests');
+                })
+                .catch(err => {
+                    assert.include(err.message, 'Skipping incorrect scm context for hook parsing');
+                    assert.strictEqual(err.statusCode, 400);
+                });
+        });
+
+        it('parses a payload for a pull request event payload', () => {
+            testHeaders['x-hub-signature'] = 'sha1=41d0508ffed278fde2fd5a84fd75c109a7039f90';
+
+            return scm.parseHook(testHeaders, JSON.stringify(testPayloadOpen)).then(result => {
+                commonPullRequestParse.action = 'opened';
+                assert.deepEqual(result, commonPullRequestParse);
+            });
+        });
+
+        it('parses a payload for a forked pull request event payload', () => {
+            testHeaders['x-hub-signature'] = 'sha1=3b5d95f319ab1cdc8b5753495df12ce74b8075d6';
+
+            return scm.parseHook(testHeaders, JSON.stringify(testPayloadOpenFork)).then(result => {
+                commonPullRequestParse.prSource = 'fork';
+                commonPullRequestParse.action = 'opened';
+                assert.deepEqual(result, commonPullRequestParse);
             });
         });
 
@@ -2322,7 +4239,9 @@ jobs:
                     ref: 'refs/heads/master',
                     addedFiles: ['README.md'],
                     modifiedFiles: ['README.md', 'package.json'],
-                    removedFiles: ['screwdriver.yaml']
+                    removedFiles: ['screwdriver.yaml'],
+                    beforeSha: '9049f1265b7d61be4a8904a9a27120d2064dab3b',
+                    commitsTruncated: false
                 });
             });
         });
@@ -3244,6 +5163,21 @@ jobs:
         });
     });
 
+    describe('getWebhookEventsMapping', () => {
+        it('maps the Screwdriver events to the GitHub events', () => {
+            assert.deepEqual(scm.getWebhookEventsMapping(), {
+                pr: 'pull_request',
+                release: 'release',
+                tag: 'push',
+                commit: 'push',
+                comment: 'issue_comment',
+                mergeQueue: 'merge_group',
+                repository: 'repository',
+                member: 'member'
+            });
+        });
+    });
+
     describe('addWebhook', () => {
         const webhookConfig = {
             scmUri: 'github.com:1263:branchName',
@@ -3289,6 +5223,26 @@ jobs:
             });
         });
 
+        it('adds a hook with the default events when no actions are given', () => {
+            githubMock.repos.listWebhooks.resolves({ data: [] });
+            githubMock.repos.createWebhook.resolves({ data: [] });
+
+            return scm.addWebhook({ ...webhookConfig, actions: [] }).then(() => {
+                assert.calledWithMatch(githubMock.repos.createWebhook, {
+                    events: [
+                        'push',
+                        'pull_request',
+                        'create',
+                        'release',
+                        'issue_comment',
+                        'merge_group',
+                        'repository',
+                        'member'
+                    ]
+                });
+            });
+        });
+
         it('add a hook when scmRepo is passed', () => {
             const configWithScmRepo = { ...webhookConfig };
 
@@ -3318,9 +5272,25 @@ jobs:
             });
         });
 
-        it('updates a pre-existing hook', () => {
-            githubMock.repos.updateWebhook.resolves({ data: [] });
-
+        it('adds a hook with the newest of the rotated secrets', () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: ['newsecret', 'somesecret']
+            });
+            githubMock.repos.listWebhooks.resolves({ data: [] });
+            githubMock.repos.createWebhook.resolves({ data: [] });
+
+            return scm.addWebhook(webhookConfig).then(() => {
+                assert.calledWithMatch(githubMock.repos.createWebhook, {
+                    config: { secret: 'newsecret' }
+                });
+            });
+        });
+
+        it('updates a pre-existing hook', () => {
+            githubMock.repos.updateWebhook.resolves({ data: [] });
+
             return scm.addWebhook(webhookConfig).then(() => {
                 assert.calledWith(githubMock.repos.listWebhooks, {
                     owner: 'dolores',
@@ -3409,6 +5379,77 @@ jobs:
         });
     });
 
+    describe('rotateWebhookSecret', () => {
+        const webhookUrl = 'https://somewhere.in/the/interwebs';
+
+        beforeEach(() => {
+            scm = new GithubScm({
+                fusebox: {
+                    retry: {
+                        minTimeout: 1
+                    }
+                },
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: ['newsecret', 'somesecret']
+            });
+            githubMock.request.withArgs('GET /repositories/:id', { id: '1' }).resolves({
+                data: { full_name: 'dolores/violentdelights' }
+            });
+            githubMock.request.withArgs('GET /repositories/:id', { id: '2' }).resolves({
+                data: { full_name: 'dolores/nohook' }
+            });
+            githubMock.request.withArgs('GET /repositories/:id', { id: '3' }).rejects(new Error('githubError'));
+            githubMock.repos.listWebhooks.withArgs(sinon.match({ repo: 'violentdelights' })).resolves({
+                data: [{ config: { url: webhookUrl }, id: 783150 }]
+            });
+            githubMock.repos.listWebhooks.withArgs(sinon.match({ repo: 'nohook' })).resolves({ data: [] });
+            githubMock.repos.updateWebhookConfigForRepo.resolves({ data: {} });
+        });
+
+        it('rewrites each webhook with the newest secret and reports progress', async () => {
+            const onProgress = sinon.stub();
+            const result = await scm.rotateWebhookSecret({
+                repos: [{ scmUri: 'github.com:1:master' }, { scmUri: 'github.com:2:master' }],
+                webhookUrl,
+                token: 'sometoken',
+                onProgress
+            });
+
+            assert.deepEqual(result, {
+                updated: ['github.com:1:master'],
+                notFound: ['github.com:2:master'],
+                failed: []
+            });
+            assert.calledOnceWithExactly(githubMock.repos.updateWebhookConfigForRepo, {
+                owner: 'dolores',
+                repo: 'violentdelights',
+                hook_id: 783150,
+                content_type: 'json',
+                secret: 'newsecret',
+                url: webhookUrl
+            });
+            assert.calledTwice(onProgress);
+            assert.calledWith(onProgress, { scmUri: 'github.com:2:master', status: 'notFound', done: 2, total: 2 });
+        });
+
+        it('continues with the other repositories when one fails', async () => {
+            const result = await scm.rotateWebhookSecret({
+                repos: [{ scmUri: 'github.com:3:master' }, { scmUri: 'github.com:1:master', token: 'repotoken' }],
+                webhookUrl,
+                token: 'sometoken'
+            });
+
+            assert.deepEqual(result, {
+                updated: ['github.com:1:master'],
+                notFound: [],
+                failed: ['github.com:3:master']
+            });
+            assert.calledWith(winstonMock.error, 'Failed to rotate webhook secret of github.com:3:master: ');
+            assert.calledWithMatch(githubMockClass.Octokit.lastCall, { auth: 'token repotoken' });
+        });
+    });
+
     describe('getOpenedPRs', () => {
         const scmUri = 'github.com:111:branchName';
         const config = {
@@ -3425,30 +5466,28 @@ jobs:
         });
 
         it('returns a list of opened pull requests', () => {
-            githubMock.pulls.list.resolves({
-                data: [
-                    {
-                        number: 1,
-                        title: 'Test 1',
-                        user: {
-                            login: 'collab1',
-                            html_url: '/collab1'
-                        },
-                        created_at: '2018-10-09T21:35:31Z',
-                        html_url: '/pull/1'
+            githubMock.paginate.resolves([
+                {
+                    number: 1,
+                    title: 'Test 1',
+                    user: {
+                        login: 'collab1',
+                        html_url: '/collab1'
                     },
-                    {
-                        number: 2,
-                        title: 'Test 2',
-                        user: {
-                            login: 'collab2',
-                            html_url: '/collab2'
-                        },
-                        created_at: '2018-10-10T21:35:31Z',
-                        html_url: '/pull/2'
-                    }
-                ]
-            });
+                    created_at: '2018-10-09T21:35:31Z',
+                    html_url: '/pull/1'
+                },
+                {
+                    number: 2,
+                    title: 'Test 2',
+                    user: {
+                        login: 'collab2',
+                        html_url: '/collab2'
+                    },
+                    created_at: '2018-10-10T21:35:31Z',
+                    html_url: '/pull/2'
+                }
+            ]);
 
             return scm._getOpenedPRs(config).then(data => {
                 assert.deepEqual(data, [
@@ -3473,7 +5512,7 @@ jobs:
                 ]);
 
                 assert.calledWith(githubMock.request, 'GET /repositories/:id', { id: '111' });
-                assert.calledWith(githubMock.pulls.list, {
+                assert.calledWith(githubMock.paginate, 'GET /repos/:owner/:repo/pulls', {
                     owner: 'repoOwner',
                     repo: 'repoName',
                     state: 'open',
@@ -3491,30 +5530,28 @@ jobs:
                 name: 'repoOwner/repoName'
             };
 
-            githubMock.pulls.list.resolves({
-                data: [
-                    {
-                        number: 1,
-                        title: 'Test 1',
-                        user: {
-                            login: 'collab1',
-                            html_url: '/collab1'
-                        },
-                        created_at: '2018-10-09T21:35:31Z',
-                        html_url: '/pull/1'
+            githubMock.paginate.resolves([
+                {
+                    number: 1,
+                    title: 'Test 1',
+                    user: {
+                        login: 'collab1',
+                        html_url: '/collab1'
                     },
-                    {
-                        number: 2,
-                        title: 'Test 2',
-                        user: {
-                            login: 'collab2',
-                            html_url: '/collab2'
-                        },
-                        created_at: '2018-10-10T21:35:31Z',
-                        html_url: '/pull/2'
-                    }
-                ]
-            });
+                    created_at: '2018-10-09T21:35:31Z',
+                    html_url: '/pull/1'
+                },
+                {
+                    number: 2,
+                    title: 'Test 2',
+                    user: {
+                        login: 'collab2',
+                        html_url: '/collab2'
+                    },
+                    created_at: '2018-10-10T21:35:31Z',
+                    html_url: '/pull/2'
+                }
+            ]);
 
             return scm._getOpenedPRs(configWithScmRepo).then(data => {
                 assert.deepEqual(data, [
@@ -3539,13 +5576,95 @@ jobs:
                 ]);
 
                 assert.notCalled(githubMock.request);
-                assert.calledWith(githubMock.pulls.list, {
+                assert.calledWith(githubMock.paginate, 'GET /repos/:owner/:repo/pulls', {
+                    owner: 'repoOwner',
+                    repo: 'repoName',
+                    state: 'open',
+                    per_page: 100
+                });
+            });
+        });
+
+        describe('filters', () => {
+            const pullRequest = (number, extra) => ({
+                number,
+                title: `Test ${number}`,
+                user: { login: 'collab1', html_url: 'https://github.com/collab1' },
+                created_at: '2018-10-09T21:35:31Z',
+                html_url: `https://github.com/repoOwner/repoName/pull/${number}`,
+                draft: false,
+                labels: [],
+                ...extra
+            });
+
+            beforeEach(() => {
+                githubMock.paginate.resolves([
+                    pullRequest(1),
+                    pullRequest(2, { draft: true }),
+                    pullRequest(3, { labels: [{ name: 'deploy' }] }),
+                    pullRequest(4, { draft: true, labels: [{ name: 'deploy' }, { name: 'wip' }] })
+                ]);
+            });
+
+            it('lets GitHub filter by base branch', async () => {
+                await scm.getOpenedPRs({ ...config, baseBranch: 'release' });
+
+                assert.calledWith(githubMock.paginate, 'GET /repos/:owner/:repo/pulls', {
                     owner: 'repoOwner',
                     repo: 'repoName',
                     state: 'open',
+                    base: 'release',
+                    per_page: 100
+                });
+            });
+
+            it('searches by draft status', async () => {
+                githubMock.paginate.resolves([pullRequest(2, { draft: true }), pullRequest(4, { draft: true })]);
+
+                const drafts = await scm.getOpenedPRs({ ...config, draft: true });
+
+                assert.deepEqual(
+                    drafts.map(pr => pr.name),
+                    ['PR-2', 'PR-4']
+                );
+                assert.calledWith(githubMock.paginate, 'GET /search/issues', {
+                    q: 'repo:repoOwner/repoName is:pr is:open draft:true',
                     per_page: 100
                 });
             });
+
+            it('searches by label, draft status and base branch', async () => {
+                githubMock.paginate.resolves([pullRequest(3, { labels: [{ name: 'ready to deploy' }] })]);
+
+                const labeled = await scm.getOpenedPRs({
+                    ...config,
+                    label: 'ready to deploy',
+                    draft: false,
+                    baseBranch: 'release'
+                });
+
+                assert.deepEqual(
+                    labeled.map(pr => pr.name),
+                    ['PR-3']
+                );
+                assert.calledWith(githubMock.paginate, 'GET /search/issues', {
+                    q: 'repo:repoOwner/repoName is:pr is:open base:"release" draft:false label:"ready to deploy"',
+                    per_page: 100
+                });
+            });
+
+            it('rejects unknown filters', () =>
+                scm.getOpenedPRs({ ...config, author: 'collab1' }).then(assert.fail, err => {
+                    assert.match(err.message, /"author" is not allowed/);
+                }));
+
+            it('validates the opened PRs like scm-base', () => {
+                githubMock.paginate.resolves([pullRequest(1, { html_url: '/pull/1' })]);
+
+                return scm.getOpenedPRs(config).then(assert.fail, err => {
+                    assert.match(err.message, /"Link to PR" must be a valid uri/);
+                });
+            });
         });
 
         it('rejects when failing to lookup the SCM URI information', () => {
@@ -3562,7 +5681,7 @@ jobs:
         it('rejects when failing to fetch opened pull requests', () => {
             const testError = new Error('testError');
 
-            githubMock.pulls.list.rejects(testError);
+            githubMock.paginate.rejects(testError);
 
             return scm._getOpenedPRs(config).then(assert.fail, err => {
                 assert.instanceOf(err, Error);
@@ -3711,209 +5830,898 @@ jobs:
             assert.calledOnce(githubMock.pulls.get);
         });
 
-        it('does not cache unresolved mergeability responses', async () => {
-            const requestCache = new Map();
+        it('does not cache unresolved mergeability responses', async () => {
+            const requestCache = new Map();
+
+            githubMock.pulls.get.resolves({ data: testPrGetNullMergeable });
+
+            await scm.withRequestCache(requestCache, () => scm._getPrInfo(config));
+            await scm.withRequestCache(requestCache, () => scm._getPrInfo(config));
+
+            assert.calledTwice(githubMock.pulls.get);
+        });
+    });
+
+    describe('_addPrComment', () => {
+        const scmUri = 'github.com:111:branchName';
+        const comments = [{ text: 'this was a great PR' }];
+        const jobName = 'PR-1:main';
+        const pipelineId = '123456';
+        const config = {
+            scmUri,
+            token: 'token',
+            prNum: 1,
+            jobName,
+            pipelineId,
+            comments
+        };
+
+        beforeEach(() => {
+            githubMock.request.resolves({
+                data: {
+                    full_name: 'repoOwner/repoName'
+                }
+            });
+        });
+
+        it('returns some metadata about the comment', () => {
+            githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+
+            return scm._addPrComment(config).then(data => {
+                assert.deepEqual(data, [
+                    {
+                        commentId: '1',
+                        createTime: '2011-04-14T16:00:49Z',
+                        username: 'octocat'
+                    }
+                ]);
+                assert.calledWith(githubMock.request, 'GET /repositories/:id', { id: '111' });
+                assert.calledWith(githubMock.issues.createComment, {
+                    owner: 'repoOwner',
+                    repo: 'repoName',
+                    issue_number: 1,
+                    body: comments[0].text
+                });
+            });
+        });
+
+        it('returns some metadata about the comment when scmRepo is passed', () => {
+            const configWithScmRepo = { ...config };
+
+            configWithScmRepo.scmRepo = {
+                branch: 'branch',
+                url: 'https://github.com/repoOwner/repoName/tree/branch',
+                name: 'repoOwner/repoName'
+            };
+
+            githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+
+            return scm._addPrComment(configWithScmRepo).then(data => {
+                assert.deepEqual(data, [
+                    {
+                        commentId: '1',
+                        createTime: '2011-04-14T16:00:49Z',
+                        username: 'octocat'
+                    }
+                ]);
+                assert.notCalled(githubMock.request);
+                assert.calledWith(githubMock.issues.createComment, {
+                    owner: 'repoOwner',
+                    repo: 'repoName',
+                    issue_number: 1,
+                    body: comments[0].text
+                });
+            });
+        });
+
+        it('creates multiple comments', () => {
+            const multipleComments = [
+                { text: 'this was a great PR', keyWord: 'foo' },
+                { text: 'this was not a great PR', keyWord: 'bar' }
+            ];
+            const configWithMultiComment = {
+                scmUri,
+                token: 'token',
+                prNum: 1,
+                jobName,
+                pipelineId,
+                comments: multipleComments
+            };
+
+            githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+
+            return scm._addPrComment(configWithMultiComment).then(data => {
+                assert.deepEqual(data, [
+                    {
+                        commentId: '1',
+                        createTime: '2011-04-14T16:00:49Z',
+                        username: 'octocat'
+                    },
+                    {
+                        commentId: '1',
+                        createTime: '2011-04-14T16:00:49Z',
+                        username: 'octocat'
+                    }
+                ]);
+                assert.calledWith(githubMock.request, 'GET /repositories/:id', { id: '111' });
+                assert.calledTwice(githubMock.issues.createComment);
+                assert.calledWith(githubMock.issues.createComment.firstCall, {
+                    owner: 'repoOwner',
+                    repo: 'repoName',
+                    issue_number: 1,
+                    body: multipleComments[0].text
+                });
+                assert.calledWith(githubMock.issues.createComment.secondCall, {
+                    owner: 'repoOwner',
+                    repo: 'repoName',
+                    issue_number: 1,
+                    body: multipleComments[1].text
+                });
+            });
+        });
+
+        it('edits multiple comments', () => {
+            const multipleComments = [
+                { text: 'this was a great PR', keyWord: 'foo' },
+                { text: 'this was not a great PR', keyWord: 'bar' }
+            ];
+            const configWithMultiComment = {
+                scmUri,
+                token: 'token',
+                prNum: 1,
+                jobName,
+                pipelineId,
+                comments: multipleComments
+            };
+
+            githubMock.issues.updateComment.resolves({ data: testPrCreateComment });
+            githubMock.paginate.resolves(testPrListComment);
+
+            return scm._addPrComment(configWithMultiComment).then(data => {
+                assert.deepEqual(data, [
+                    {
+                        commentId: '1',
+                        createTime: '2011-04-14T16:00:49Z',
+                        username: 'octocat'
+                    },
+                    {
+                        commentId: '1',
+                        createTime: '2011-04-14T16:00:49Z',
+                        username: 'octocat'
+                    }
+                ]);
+                assert.calledWith(githubMock.request, 'GET /repositories/:id', { id: '111' });
+                assert.calledTwice(githubMock.issues.updateComment);
+                assert.calledWithMatch(githubMock.issues.updateComment, {
+                    owner: 'repoOwner',
+                    repo: 'repoName',
+                    comment_id: 1,
+                    body: multipleComments[0].text
+                });
+                assert.calledWithMatch(githubMock.issues.updateComment, {
+                    owner: 'repoOwner',
+                    repo: 'repoName',
+                    comment_id: 1,
+                    body: multipleComments[1].text
+                });
+                assert.notCalled(githubMock.issues.createComment);
+            });
+        });
+
+        describe('locating the build comment', () => {
+            const buildComment = (id, header, extra = {}) => ({
+                id,
+                body: `### SD Build [#${id}](https://cd.screwdriver.cd/pipelines/${header}\n_node:18_\n- - - -\n__foo__ - ok`,
+                user: { login: 'sd-buildbot' },
+                created_at: '2011-04-14T16:00:49Z',
+                ...extra
+            });
+
+            beforeEach(() => {
+                githubMock.issues.updateComment.resolves({ data: testPrCreateComment });
+                githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+            });
+
+            it('walks through all pages of comments', async () => {
+                githubMock.paginate.resolves([
+                    ...Array(150)
+                        .fill()
+                        .map((_, index) => ({ id: 1000 + index, body: 'LGTM', user: { login: 'reviewer' } })),
+                    buildComment(7, '123456/builds/7) Job PR-1:main')
+                ]);
+
+                await scm._addPrComment(config);
+
+                assert.calledWith(githubMock.paginate, 'GET /repos/:owner/:repo/issues/:issue_number/comments', {
+                    owner: 'repoOwner',
+                    repo: 'repoName',
+                    issue_number: 1,
+                    per_page: 100
+                });
+                assert.calledWithMatch(githubMock.issues.updateComment, { comment_id: 7 });
+                assert.notCalled(githubMock.issues.createComment);
+            });
+
+            it('does not edit the comment of another job when no job name is given', async () => {
+                githubMock.paginate.resolves([buildComment(7, '123456/builds/7) Job PR-1:main')]);
+
+                await scm._addPrComment({ ...config, jobName: undefined });
+
+                assert.notCalled(githubMock.issues.updateComment);
+                assert.calledOnce(githubMock.issues.createComment);
+            });
+
+            it('edits the newest matching comment', async () => {
+                githubMock.paginate.resolves([
+                    buildComment(7, '123456/builds/7) Job PR-1:main'),
+                    buildComment(8, '123456/builds/8) Job PR-1:main'),
+                    buildComment(9, '123456/builds/9) Job PR-1:other')
+                ]);
+
+                await scm._addPrComment(config);
+
+                assert.calledOnce(githubMock.issues.updateComment);
+                assert.calledWithMatch(githubMock.issues.updateComment, { comment_id: 8 });
+            });
+
+            it('matches keywords and skips comments of other users and short comments', async () => {
+                githubMock.paginate.resolves([
+                    buildComment(7, '123456/builds/7) Job PR-1:main'),
+                    buildComment(8, '123456/builds/8) Job PR-1:main', {
+                        body: 'pipelines/123456/builds/8) Job PR-1:main'
+                    }),
+                    buildComment(9, '123456/builds/9) Job PR-1:main', { user: { login: 'someone' } }),
+                    buildComment(10, '123456/builds/10) Job PR-1:main', { user: null })
+                ]);
+
+                await scm._addPrComment({ ...config, comments: [{ text: 'coverage', keyword: 'foo' }] });
+
+                assert.calledOnce(githubMock.issues.updateComment);
+                assert.calledWithMatch(githubMock.issues.updateComment, { comment_id: 7 });
+            });
+
+            it('only lists comments updated since the given time', async () => {
+                githubMock.paginate.resolves([]);
+
+                const result = await scm.prComments({ owner: 'repoOwner', repo: 'repoName' }, 1, 'token', {
+                    since: '2026-10-01T00:00:00Z'
+                });
+
+                assert.deepEqual(result, { comments: [] });
+                assert.calledWithMatch(githubMock.paginate, 'GET /repos/:owner/:repo/issues/:issue_number/comments', {
+                    since: '2026-10-01T00:00:00Z'
+                });
+            });
+
+            it('parses Screwdriver build comments', async () => {
+                githubMock.paginate.resolves(testPrListComment);
+
+                const result = await scm.prComments({ owner: 'repoOwner', repo: 'repoName' }, 1, 'token');
+
+                assert.deepEqual(
+                    result.comments.map(comment => comment.sdComment),
+                    [
+                        { pipelineId: '123456', jobName: 'PR-1:main', keyword: 'bar' },
+                        { pipelineId: '123456', jobName: 'PR-1:main', keyword: 'foo' }
+                    ]
+                );
+            });
+        });
+
+        it('rejects when failing to lookup the SCM URI information', () => {
+            const testError = new Error('testError');
+
+            githubMock.request.rejects(testError);
+
+            return scm._addPrComment(config).then(assert.fail, err => {
+                assert.instanceOf(err, Error);
+                assert.strictEqual(testError.message, err.message);
+            });
+        });
+
+        it('returns null when failing to add the pull request comment', () => {
+            const testError = new Error('testError');
+
+            githubMock.issues.createComment.rejects(testError);
+
+            return scm
+                ._addPrComment(config)
+                .then(data => {
+                    assert.isEmpty(data);
+                })
+                .catch(err => {
+                    assert.deepEqual(err, testError);
+                    assert.calledWith(githubMock.issues.createComment, config);
+                });
+        });
+    });
+
+    describe('removePrComments', () => {
+        const buildComment = (id, header, extra = {}) => ({
+            id,
+            node_id: `IC_${id}`,
+            body: `### SD Build [#${id}](https://cd.screwdriver.cd/pipelines/${header}\n_node:18_\n- - - -\n${
+                extra.keyword ? `__${extra.keyword}__ - ok` : 'ok'
+            }`,
+            user: { login: 'sd-buildbot' },
+            created_at: '2011-04-14T16:00:49Z'
+        });
+        const config = {
+            scmUri: 'github.com:111:branchName',
+            token: 'token',
+            prNum: 1,
+            pipelineId: '123456'
+        };
+
+        beforeEach(() => {
+            githubMock.request.resolves({ data: { full_name: 'repoOwner/repoName' } });
+            githubMock.paginate.resolves([
+                buildComment(1, '123456/builds/1) Job PR-1:main', { keyword: 'coverage' }),
+                buildComment(2, '123456/builds/2) Job PR-1:main'),
+                buildComment(3, '123456/builds/3) Job PR-1:removed'),
+                buildComment(4, '654321/builds/4) Job PR-1:main'),
+                { ...buildComment(5, '123456/builds/5) Job PR-1:main'), user: { login: 'someone' } }
+            ]);
+            githubMock.issues.deleteComment.resolves({ status: 204 });
+            githubMock.graphql.resolves({ minimizeComment: { minimizedComment: { isMinimized: true } } });
+        });
+
+        it('deletes the build comments of a job', async () => {
+            const result = await scm.removePrComments({ ...config, jobName: 'PR-1:removed' });
+
+            assert.deepEqual(result, { removed: ['3'], failed: [] });
+            assert.calledOnce(githubMock.issues.deleteComment);
+            assert.calledWith(githubMock.issues.deleteComment, { owner: 'repoOwner', repo: 'repoName', comment_id: 3 });
+            assert.notCalled(githubMock.graphql);
+        });
+
+        it('minimizes the build comments of a pipeline as outdated', async () => {
+            const result = await scm.removePrComments({ ...config, minimize: true });
+
+            assert.sameMembers(result.removed, ['1', '2', '3']);
+            assert.calledThrice(githubMock.graphql);
+            assert.calledWith(githubMock.graphql, sinon.match(/minimizeComment.*classifier: OUTDATED/s), {
+                subjectId: 'IC_2'
+            });
+            assert.notCalled(githubMock.issues.deleteComment);
+        });
+
+        it('narrows down the comments by keyword', async () => {
+            const result = await scm.removePrComments({ ...config, jobName: 'PR-1:main', keyword: 'coverage' });
+
+            assert.deepEqual(result, { removed: ['1'], failed: [] });
+        });
+
+        it('reports the comments that could not be removed', async () => {
+            githubMock.issues.deleteComment.withArgs(sinon.match({ comment_id: 2 })).rejects(new Error('forbidden'));
+
+            const result = await scm.removePrComments({ ...config, jobName: 'PR-1:main' });
+
+            assert.deepEqual(result, { removed: ['1'], failed: ['2'] });
+        });
+
+        it('rejects when the comments cannot be fetched', () => {
+            githubMock.paginate.rejects(new Error('testError'));
+
+            return scm.removePrComments(config).then(assert.fail, err => {
+                assert.strictEqual(err.message, 'Failed to fetch comments of PR 1');
+            });
+        });
+
+        it('posts a new comment and minimizes the previous one when collapsing superseded comments', async () => {
+            scm = new GithubScm({
+                oauthClientId: 'abcdefg',
+                oauthClientSecret: 'hijklmno',
+                secret: 'somesecret',
+                collapseSupersededComments: true
+            });
+            githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+
+            const data = await scm._addPrComment({
+                ...config,
+                jobName: 'PR-1:main',
+                comments: [{ text: 'build passed' }]
+            });
+
+            assert.deepEqual(data, [{ commentId: '1', createTime: '2011-04-14T16:00:49Z', username: 'octocat' }]);
+            assert.notCalled(githubMock.issues.updateComment);
+            assert.calledOnce(githubMock.graphql);
+            assert.calledWith(githubMock.graphql, sinon.match.string, { subjectId: 'IC_2' });
+        });
+    });
+
+    describe('addPrReview', () => {
+        const config = {
+            scmUri: 'github.com:111:branchName',
+            token: 'token',
+            prNum: 1,
+            comments: [
+                { path: 'src/index.js', line: 12, body: 'no-unused-vars: foo is defined but never used' },
+                { path: 'src/index.js', line: 30, startLine: 28, body: 'complexity: too complex' }
+            ]
+        };
+
+        const filesRoute = 'GET /repos/:owner/:repo/pulls/:pull_number/files';
+        // Lines 10 to 14 and 26 to 32 of src/index.js are in the diff
+        const patch = [
+            '@@ -10,4 +10,5 @@ function lint() {',
+            ' const a = 1;',
+            '-const b = 2;',
+            '+const foo = 2;',
+            '+const bar = 3;',
+            ' const c = 4;',
+            ' const d = 5;',
+            '@@ -25,6 +26,7 @@ function complex() {',
+            ...Array(7).fill('+    if (a) {'),
+            '\\ No newline at end of file'
+        ].join('\n');
+
+        beforeEach(() => {
+            githubMock.request.resolves({ data: { full_name: 'repoOwner/repoName' } });
+            githubMock.pulls.get.resolves({ data: { head: { sha: 'headsha' } } });
+            githubMock.paginate.resolves([]);
+            githubMock.paginate.withArgs(filesRoute).resolves([
+                { filename: 'src/index.js', patch },
+                { filename: 'logo.png', status: 'added' }
+            ]);
+            githubMock.pulls.createReview.resolves({ data: { id: 80, state: 'COMMENTED' } });
+        });
+
+        it('submits a review with inline comments on the head sha', async () => {
+            const result = await scm.addPrReview({ ...config, body: '2 lint findings' });
+
+            assert.deepEqual(result, { reviewId: '80', state: 'COMMENTED', comments: 2, outsideDiff: 0 });
+            assert.calledWith(githubMock.paginate, filesRoute, {
+                owner: 'repoOwner',
+                repo: 'repoName',
+                pull_number: 1,
+                per_page: 100
+            });
+            assert.calledWith(githubMock.paginate, 'GET /repos/:owner/:repo/pulls/:pull_number/comments', {
+                owner: 'repoOwner',
+                repo: 'repoName',
+                pull_number: 1,
+                per_page: 100
+            });
+            assert.calledWith(githubMock.pulls.createReview, {
+                owner: 'repoOwner',
+                repo: 'repoName',
+                pull_number: 1,
+                commit_id: 'headsha',
+                body: '2 lint findings',
+                event: 'COMMENT',
+                comments: [
+                    {
+                        path: 'src/index.js',
+                        line: 12,
+                        side: 'RIGHT',
+                        body: 'no-unused-vars: foo is defined but never used'
+                    },
+                    {
+                        path: 'src/index.js',
+                        line: 30,
+                        start_line: 28,
+                        side: 'RIGHT',
+                        start_side: 'RIGHT',
+                        body: 'complexity: too complex'
+                    }
+                ]
+            });
+        });
+
+        it('skips comments the bot already posted', async () => {
+            githubMock.paginate.resolves([
+                { path: 'src/index.js', line: 12, body: config.comments[0].body, user: { login: 'sd-buildbot' } },
+                { path: 'src/index.js', line: 30, body: config.comments[1].body, user: { login: 'reviewer' } }
+            ]);
+
+            const result = await scm.addPrReview({ ...config, event: 'REQUEST_CHANGES', body: 'Lint failed' });
+
+            const { event, comments } = githubMock.pulls.createReview.firstCall.args[0];
+
+            assert.strictEqual(result.comments, 1);
+            assert.strictEqual(event, 'REQUEST_CHANGES');
+            assert.deepEqual(
+                comments.map(comment => comment.line),
+                [30]
+            );
+        });
+
+        it('does not submit a review when all comments were posted before', async () => {
+            githubMock.paginate.resolves(
+                config.comments.map(({ path, line, body }) => ({ path, line, body, user: { login: 'sd-buildbot' } }))
+            );
+
+            const result = await scm.addPrReview(config);
+
+            assert.isNull(result);
+            assert.notCalled(githubMock.pulls.createReview);
+        });
+
+        it('skips comments outside the diff instead of failing the whole review', async () => {
+            const comments = [
+                ...config.comments,
+                { path: 'src/index.js', line: 20, body: 'no-console: unexpected console statement' },
+                { path: 'src/index.js', line: 27, startLine: 13, body: 'max-lines: spans two hunks' },
+                { path: 'src/other.js', line: 1, body: 'strict: missing use strict' },
+                { path: 'logo.png', line: 1, body: 'binary file' }
+            ];
+
+            const result = await scm.addPrReview({ ...config, comments });
+
+            assert.deepEqual(result, { reviewId: '80', state: 'COMMENTED', comments: 2, outsideDiff: 4 });
+            assert.deepEqual(
+                githubMock.pulls.createReview.firstCall.args[0].comments.map(comment => comment.line),
+                [12, 30]
+            );
+        });
+
+        it('does not submit a review when all comments are outside the diff', async () => {
+            const result = await scm.addPrReview({
+                ...config,
+                comments: [{ path: 'src/index.js', line: 9, body: 'no-var: unexpected var' }]
+            });
+
+            assert.isNull(result);
+            assert.notCalled(githubMock.pulls.createReview);
+        });
+
+        it('rejects unknown review events', () =>
+            scm.addPrReview({ ...config, event: 'APPROVE' }).then(assert.fail, err => {
+                assert.strictEqual(err.statusCode, 400);
+                assert.notCalled(githubMock.pulls.createReview);
+            }));
+
+        it('rejects when the review cannot be submitted', () => {
+            githubMock.pulls.createReview.rejects(new Error('Unprocessable Entity'));
+
+            return scm.addPrReview(config).then(assert.fail, err => {
+                assert.strictEqual(err.message, 'Unprocessable Entity');
+            });
+        });
+    });
+
+    describe('mergePr', () => {
+        const config = {
+            scmUri: 'github.com:111:branchName',
+            token: 'token',
+            prNum: 1
+        };
+        const prData = {
+            number: 1,
+            node_id: 'PR_1',
+            title: 'Update dependencies',
+            html_url: 'https://github.com/repoOwner/repoName/pull/1',
+            created_at: '2026-10-01T00:00:00Z',
+            mergeable: true,
+            user: { login: 'octocat', html_url: 'https://github.com/octocat' },
+            head: { sha: 'abc123', ref: 'deps', repo: { id: 111 } },
+            base: { ref: 'main', repo: { id: 111 } }
+        };
+
+        beforeEach(() => {
+            githubMock.request.resolves({ data: { full_name: 'repoOwner/repoName' } });
+            githubMock.pulls.get.resolves({ data: prData });
+            githubMock.repos.getBranch.resolves({
+                data: {
+                    name: 'main',
+                    protected: true,
+                    protection: {
+                        enabled: true,
+                        required_status_checks: {
+                            enforcement_level: 'non_admins',
+                            contexts: ['Screwdriver/1/main', 'lint']
+                        }
+                    }
+                }
+            });
+            githubMock.repos.getCombinedStatusForRef.resolves({
+                data: { statuses: [{ context: 'Screwdriver/1/main', state: 'success' }] }
+            });
+            githubMock.checks.listForRef.resolves({ data: { check_runs: [{ name: 'lint', conclusion: 'success' }] } });
+            githubMock.pulls.merge.resolves({ data: { merged: true, sha: 'mergesha' } });
+            githubMock.git.deleteRef.resolves({});
+        });
+
+        it('merges with the checked head sha once required statuses passed', async () => {
+            const result = await scm.mergePr({ ...config, method: 'squash', sha: 'abc123', commitTitle: 'Deps (#1)' });
+
+            assert.deepEqual(result, { merged: true, sha: 'mergesha', branchDeleted: false });
+            assert.calledWith(githubMock.repos.getBranch, {
+                owner: 'repoOwner',
+                repo: 'repoName',
+                branch: 'main'
+            });
+            assert.calledWith(githubMock.pulls.merge, {
+                owner: 'repoOwner',
+                repo: 'repoName',
+                pull_number: 1,
+                merge_method: 'squash',
+                sha: 'abc123',
+                commit_title: 'Deps (#1)'
+            });
+            assert.notCalled(githubMock.git.deleteRef);
+        });
+
+        it('deletes the head branch after merging', async () => {
+            const result = await scm.mergePr({ ...config, deleteBranch: true });
+
+            assert.isTrue(result.branchDeleted);
+            assert.calledWith(githubMock.git.deleteRef, { owner: 'repoOwner', repo: 'repoName', ref: 'heads/deps' });
+        });
+
+        it('does not delete the head branch of forks', async () => {
+            githubMock.pulls.get.resolves({ data: { ...prData, head: { ...prData.head, repo: { id: 222 } } } });
+
+            const result = await scm.mergePr({ ...config, deleteBranch: true });
+
+            assert.isFalse(result.branchDeleted);
+            assert.notCalled(githubMock.git.deleteRef);
+        });
+
+        it('merges pull requests against unprotected branches', async () => {
+            githubMock.repos.getBranch.resolves({
+                data: {
+                    name: 'main',
+                    protected: false,
+                    protection: { enabled: false, required_status_checks: { enforcement_level: 'off', contexts: [] } }
+                }
+            });
+
+            await scm.mergePr(config);
+
+            assert.notCalled(githubMock.repos.getCombinedStatusForRef);
+            assert.calledWith(githubMock.pulls.merge, sinon.match({ merge_method: 'merge', sha: 'abc123' }));
+        });
+
+        it('rejects when a required status did not pass', () => {
+            githubMock.checks.listForRef.resolves({ data: { check_runs: [{ name: 'lint', conclusion: 'failure' }] } });
+
+            return scm.mergePr(config).then(assert.fail, err => {
+                assert.strictEqual(err.statusCode, 409);
+                assert.strictEqual(err.message, 'Required statuses of pull request 1 did not pass: lint');
+                assert.notCalled(githubMock.pulls.merge);
+            });
+        });
+
+        it('rejects when the head moved from the expected sha', () =>
+            scm.mergePr({ ...config, sha: 'def456' }).then(assert.fail, err => {
+                assert.strictEqual(err.statusCode, 409);
+                assert.notCalled(githubMock.pulls.merge);
+            }));
 
-            githubMock.pulls.get.resolves({ data: testPrGetNullMergeable });
+        it('rejects when the pull request is not mergeable', () => {
+            githubMock.pulls.get.resolves({ data: { ...prData, mergeable: false } });
 
-            await scm.withRequestCache(requestCache, () => scm._getPrInfo(config));
-            await scm.withRequestCache(requestCache, () => scm._getPrInfo(config));
+            return scm.mergePr(config).then(assert.fail, err => {
+                assert.strictEqual(err.message, 'Pull request 1 is not mergeable');
+                assert.notCalled(githubMock.pulls.merge);
+            });
+        });
 
-            assert.calledTwice(githubMock.pulls.get);
+        it('enables auto-merge instead of merging', async () => {
+            githubMock.graphql.resolves({ enablePullRequestAutoMerge: { pullRequest: {} } });
+
+            const result = await scm.mergePr({ ...config, method: 'rebase', sha: 'abc123', autoMerge: true });
+
+            assert.deepEqual(result, { merged: false, autoMerge: true });
+            assert.calledWith(githubMock.graphql, sinon.match(/enablePullRequestAutoMerge/), {
+                pullRequestId: 'PR_1',
+                mergeMethod: 'REBASE',
+                expectedHeadOid: 'abc123'
+            });
+            assert.notCalled(githubMock.pulls.merge);
         });
+
+        it('rejects unknown merge methods', () =>
+            scm.mergePr({ ...config, method: 'fast-forward' }).then(assert.fail, err => {
+                assert.strictEqual(err.statusCode, 400);
+            }));
     });
 
-    describe('_addPrComment', () => {
-        const scmUri = 'github.com:111:branchName';
-        const comments = [{ text: 'this was a great PR' }];
-        const jobName = 'PR-1:main';
-        const pipelineId = '123456';
+    describe('release management', () => {
         const config = {
-            scmUri,
-            token: 'token',
-            prNum: 1,
-            jobName,
-            pipelineId,
-            comments
+            scmUri: 'github.com:111:branchName',
+            token: 'token'
+        };
+        const release = {
+            id: 11248810,
+            tag_name: 'v1.2.0',
+            name: 'v1.2.0',
+            html_url: 'https://github.com/repoOwner/repoName/releases/tag/v1.2.0',
+            upload_url: 'https://uploads.github.com/repos/repoOwner/repoName/releases/11248810/assets{?name,label}'
+        };
+        const releaseInfo = {
+            id: 11248810,
+            tagName: 'v1.2.0',
+            name: 'v1.2.0',
+            url: 'https://github.com/repoOwner/repoName/releases/tag/v1.2.0',
+            uploadUrl: 'https://uploads.github.com/repos/repoOwner/repoName/releases/11248810/assets{?name,label}'
         };
 
         beforeEach(() => {
-            githubMock.request.resolves({
-                data: {
-                    full_name: 'repoOwner/repoName'
-                }
-            });
+            githubMock.request.resolves({ data: { full_name: 'repoOwner/repoName' } });
         });
 
-        it('returns some metadata about the comment', () => {
-            githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+        describe('createRelease', () => {
+            it('creates a release', async () => {
+                githubMock.repos.createRelease.resolves({ data: release });
 
-            return scm._addPrComment(config).then(data => {
-                assert.deepEqual(data, [
-                    {
-                        commentId: '1',
-                        createTime: '2011-04-14T16:00:49Z',
-                        username: 'octocat'
-                    }
-                ]);
-                assert.calledWith(githubMock.request, 'GET /repositories/:id', { id: '111' });
-                assert.calledWith(githubMock.issues.createComment, {
+                const result = await scm.createRelease({
+                    ...config,
+                    tagName: 'v1.2.0',
+                    targetCommitish: 'abc123',
+                    name: 'v1.2.0',
+                    body: 'Changelog',
+                    prerelease: true
+                });
+
+                assert.deepEqual(result, releaseInfo);
+                assert.calledWith(githubMock.repos.createRelease, {
                     owner: 'repoOwner',
                     repo: 'repoName',
-                    issue_number: 1,
-                    body: comments[0].text
+                    tag_name: 'v1.2.0',
+                    target_commitish: 'abc123',
+                    name: 'v1.2.0',
+                    body: 'Changelog',
+                    draft: false,
+                    prerelease: true
                 });
             });
-        });
 
-        it('returns some metadata about the comment when scmRepo is passed', () => {
-            const configWithScmRepo = { ...config };
+            it('rejects when the release cannot be created', () => {
+                githubMock.repos.createRelease.rejects(new Error('Validation Failed'));
 
-            configWithScmRepo.scmRepo = {
-                branch: 'branch',
-                url: 'https://github.com/repoOwner/repoName/tree/branch',
-                name: 'repoOwner/repoName'
-            };
+                return scm.createRelease({ ...config, tagName: 'v1.2.0' }).then(assert.fail, err => {
+                    assert.strictEqual(err.message, 'Validation Failed');
+                });
+            });
 
-            githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+            it('rejects a release without a tag name', () => {
+                return scm.createRelease({ ...config, name: 'v1.2.0' }).then(assert.fail, err => {
+                    assert.strictEqual(err.name, 'ValidationError');
+                    assert.match(err.message, /"tagName" is required/);
+                    assert.notCalled(githubMock.request);
+                });
+            });
+        });
 
-            return scm._addPrComment(configWithScmRepo).then(data => {
-                assert.deepEqual(data, [
-                    {
-                        commentId: '1',
-                        createTime: '2011-04-14T16:00:49Z',
-                        username: 'octocat'
-                    }
-                ]);
-                assert.notCalled(githubMock.request);
-                assert.calledWith(githubMock.issues.createComment, {
+        describe('updateRelease', () => {
+            it('updates only the given fields of a release', async () => {
+                githubMock.repos.updateRelease.resolves({ data: release });
+
+                const result = await scm.updateRelease({ ...config, releaseId: 11248810, draft: false, body: '' });
+
+                assert.deepEqual(result, releaseInfo);
+                assert.calledWith(githubMock.repos.updateRelease, {
                     owner: 'repoOwner',
                     repo: 'repoName',
-                    issue_number: 1,
-                    body: comments[0].text
+                    release_id: 11248810,
+                    body: '',
+                    draft: false
+                });
+            });
+
+            it('rejects a release update without a release id', () => {
+                return scm.updateRelease({ ...config, name: 'v1.2.0' }).then(assert.fail, err => {
+                    assert.strictEqual(err.name, 'ValidationError');
+                    assert.match(err.message, /"releaseId" is required/);
+                    assert.notCalled(githubMock.request);
                 });
             });
         });
 
-        it('creates multiple comments', () => {
-            const multipleComments = [
-                { text: 'this was a great PR', keyWord: 'foo' },
-                { text: 'this was not a great PR', keyWord: 'bar' }
-            ];
-            const configWithMultiComment = {
-                scmUri,
-                token: 'token',
-                prNum: 1,
-                jobName,
-                pipelineId,
-                comments: multipleComments
-            };
+        describe('uploadReleaseAsset', () => {
+            it('uploads a release asset', async () => {
+                githubMock.repos.uploadReleaseAsset.resolves({
+                    data: {
+                        id: 7,
+                        name: 'sd-local_linux_amd64',
+                        content_type: 'application/octet-stream',
+                        size: 6,
+                        browser_download_url:
+                            'https://github.com/repoOwner/repoName/releases/download/v1.2.0/sd-local_linux_amd64'
+                    }
+                });
 
-            githubMock.issues.createComment.resolves({ data: testPrCreateComment });
+                const result = await scm.uploadReleaseAsset({
+                    ...config,
+                    releaseId: 11248810,
+                    name: 'sd-local_linux_amd64',
+                    data: 'binary',
+                    label: 'Linux'
+                });
 
-            return scm._addPrComment(configWithMultiComment).then(data => {
-                assert.deepEqual(data, [
-                    {
-                        commentId: '1',
-                        createTime: '2011-04-14T16:00:49Z',
-                        username: 'octocat'
-                    },
-                    {
-                        commentId: '1',
-                        createTime: '2011-04-14T16:00:49Z',
-                        username: 'octocat'
-                    }
-                ]);
-                assert.calledWith(githubMock.request, 'GET /repositories/:id', { id: '111' });
-                assert.calledTwice(githubMock.issues.createComment);
-                assert.calledWith(githubMock.issues.createComment.firstCall, {
-                    owner: 'repoOwner',
-                    repo: 'repoName',
-                    issue_number: 1,
-                    body: multipleComments[0].text
+                assert.deepEqual(result, {
+                    id: 7,
+                    name: 'sd-local_linux_amd64',
+                    contentType: 'application/octet-stream',
+                    size: 6,
+                    url: 'https://github.com/repoOwner/repoName/releases/download/v1.2.0/sd-local_linux_amd64'
                 });
-                assert.calledWith(githubMock.issues.createComment.secondCall, {
+                assert.calledWith(githubMock.repos.uploadReleaseAsset, {
                     owner: 'repoOwner',
                     repo: 'repoName',
-                    issue_number: 1,
-                    body: multipleComments[1].text
+                    release_id: 11248810,
+                    name: 'sd-local_linux_amd64',
+                    label: 'Linux',
+                    data: Buffer.from('binary'),
+                    headers: { 'content-type': 'application/octet-stream', 'content-length': 6 },
+                    baseUrl: 'https://github.com/api/uploads'
                 });
             });
+
+            it('rejects a release asset without content', () => {
+                return scm
+                    .uploadReleaseAsset({ ...config, releaseId: 11248810, name: 'sd-local_linux_amd64' })
+                    .then(assert.fail, err => {
+                        assert.strictEqual(err.name, 'ValidationError');
+                        assert.match(err.message, /"data" is required/);
+                        assert.notCalled(githubMock.request);
+                    });
+            });
         });
 
-        it('edits multiple comments', () => {
-            const multipleComments = [
-                { text: 'this was a great PR', keyWord: 'foo' },
-                { text: 'this was not a great PR', keyWord: 'bar' }
-            ];
-            const configWithMultiComment = {
-                scmUri,
-                token: 'token',
-                prNum: 1,
-                jobName,
-                pipelineId,
-                comments: multipleComments
-            };
+        describe('createTag', () => {
+            it('creates an annotated tag with the configured user as tagger', async () => {
+                githubMock.git.createTag.resolves({ data: { sha: 'def456' } });
+                githubMock.git.createRef.resolves({ data: { ref: 'refs/tags/v1.2.0' } });
 
-            githubMock.issues.updateComment.resolves({ data: testPrCreateComment });
-            githubMock.issues.listComments.resolves({ data: testPrListComment });
+                const result = await scm.createTag({
+                    ...config,
+                    tagName: 'v1.2.0',
+                    sha: 'abc123',
+                    message: 'Release v1.2.0'
+                });
 
-            return scm._addPrComment(configWithMultiComment).then(data => {
-                assert.deepEqual(data, [
-                    {
-                        commentId: '1',
-                        createTime: '2011-04-14T16:00:49Z',
-                        username: 'octocat'
-                    },
-                    {
-                        commentId: '1',
-                        createTime: '2011-04-14T16:00:49Z',
-                        username: 'octocat'
-                    }
-                ]);
-                assert.calledWith(githubMock.request, 'GET /repositories/:id', { id: '111' });
-                assert.calledTwice(githubMock.issues.updateComment);
-                assert.calledWithMatch(githubMock.issues.updateComment, {
+                assert.deepEqual(result, { tagName: 'v1.2.0', sha: 'abc123', tagSha: 'def456' });
+                assert.calledWith(githubMock.git.createTag, {
                     owner: 'repoOwner',
                     repo: 'repoName',
-                    comment_id: 1,
-                    body: multipleComments[0].text
+                    tag: 'v1.2.0',
+                    message: 'Release v1.2.0',
+                    object: 'abc123',
+                    type: 'commit',
+                    tagger: { name: 'sd-buildbot', email: 'dev-null@screwdriver.cd' }
                 });
-                assert.calledWithMatch(githubMock.issues.updateComment, {
+                assert.calledWith(githubMock.git.createRef, {
                     owner: 'repoOwner',
                     repo: 'repoName',
-                    comment_id: 1,
-                    body: multipleComments[1].text
+                    ref: 'refs/tags/v1.2.0',
+                    sha: 'def456'
                 });
-                assert.notCalled(githubMock.issues.createComment);
             });
-        });
-
-        it('rejects when failing to lookup the SCM URI information', () => {
-            const testError = new Error('testError');
-
-            githubMock.request.rejects(testError);
 
-            return scm._addPrComment(config).then(assert.fail, err => {
-                assert.instanceOf(err, Error);
-                assert.strictEqual(testError.message, err.message);
+            it('rejects when the tag ref cannot be created', () => {
+                githubMock.git.createTag.resolves({ data: { sha: 'def456' } });
+                githubMock.git.createRef.rejects(new Error('Reference already exists'));
+
+                return scm
+                    .createTag({
+                        ...config,
+                        tagName: 'v1.2.0',
+                        sha: 'abc123',
+                        message: 'Release v1.2.0',
+                        tagger: { name: 'octocat', email: 'octocat@example.com' }
+                    })
+                    .then(assert.fail, err => {
+                        assert.strictEqual(err.message, 'Reference already exists');
+                        assert.calledWith(
+                            githubMock.git.createTag,
+                            sinon.match({ tagger: { name: 'octocat', email: 'octocat@example.com' } })
+                        );
+                    });
             });
-        });
-
-        it('returns null when failing to add the pull request comment', () => {
-            const testError = new Error('testError');
-
-            githubMock.issues.createComment.rejects(testError);
 
-            return scm
-                ._addPrComment(config)
-                .then(data => {
-                    assert.isEmpty(data);
-                })
-                .catch(err => {
-                    assert.deepEqual(err, testError);
-                    assert.calledWith(githubMock.issues.createComment, config);
-                });
+            it('rejects a tag without a commit', () => {
+                return scm
+                    .createTag({ ...config, tagName: 'v1.2.0', message: 'Release v1.2.0' })
+                    .then(assert.fail, err => {
+                        assert.strictEqual(err.name, 'ValidationError');
+                        assert.match(err.message, /"sha" is required/);
+                        assert.notCalled(githubMock.request);
+                    });
+            });
         });
     });
 
@@ -4134,120 +6942,236 @@ jobs:
     });
 
     describe('openPr', () => {
+        const notFoundError = new Error('Not Found');
         const openPrConfig = {
             checkoutUrl: 'git@github.com:screwdriver-cd/scm-github.git#master',
             token: 'thisisatoken',
-            files: [{
-                name: 'file.txt',
-                content: 'content'
-            }],
+            files: [
+                {
+                    name: 'file.txt',
+                    content: 'content'
+                }
+            ],
             title: 'update file',
             message: 'update file'
         };
 
         beforeEach(() => {
+            notFoundError.status = 404;
             githubMock.repos.getBranch.resolves({
                 data: {
                     name: 'master',
                     commit: {
                         sha: '1234',
+                        commit: { tree: { sha: 'basetree' } }
                     }
                 }
             });
+            githubMock.repos.getBranch.withArgs(sinon.match({ branch: 'update_file' })).rejects(notFoundError);
+            githubMock.git.createBlob.callsFake(({ content }) =>
+                Promise.resolve({ data: { sha: `blob-${Buffer.from(content, 'base64').toString()}` } })
+            );
+            githubMock.git.createTree.resolves({ data: { sha: 'newtree' } });
+            githubMock.git.createCommit.resolves({ data: { sha: '5678' } });
             githubMock.git.createRef.resolves({
                 data: {
                     ref: 'refs/heads/update_file'
                 }
             });
-            githubMock.repos.createOrUpdateFileContents.resolves({
-                data: {
-                    content: {
-                        name: 'file.txt',
-                        path: 'file.txt'
-                    }
-                }
-            });
             githubMock.pulls.create.resolves({
                 data: {
                     url: 'https://api.github.com/repos/screwdriver-cd/scm-github/pulls/1347',
-                    id: 1
+                    id: 1,
+                    number: 1347
                 }
             });
         });
 
-        it('opens pull request', (done) => {
-            scm.openPr(openPrConfig).then((pr) => {
-                assert.calledWith(githubMock.repos.getBranch, {
-                    owner: 'screwdriver-cd',
-                    repo: 'scm-github',
-                    branch: 'master'
+        it('opens pull request', async () => {
+            const pr = await scm.openPr(openPrConfig);
+
+            assert.calledWith(githubMock.repos.getBranch, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                branch: 'master'
+            });
+            assert.calledWith(githubMock.git.createBlob, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                content: Buffer.from('content').toString('base64'),
+                encoding: 'base64'
+            });
+            assert.calledWith(githubMock.git.createTree, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                base_tree: 'basetree',
+                tree: [{ path: 'file.txt', mode: '100644', type: 'blob', sha: 'blob-content' }]
+            });
+            assert.calledWith(githubMock.git.createCommit, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                message: 'update file',
+                tree: 'newtree',
+                parents: ['1234']
+            });
+            assert.calledWith(githubMock.git.createRef, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                ref: 'refs/heads/update_file',
+                sha: '5678'
+            });
+            assert.calledWith(githubMock.pulls.create, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                title: 'update file',
+                head: 'screwdriver-cd:update_file',
+                base: 'master'
+            });
+            assert.deepEqual(pr.data, {
+                url: 'https://api.github.com/repos/screwdriver-cd/scm-github/pulls/1347',
+                id: 1,
+                number: 1347
+            });
+            assert.notCalled(githubMock.pulls.list);
+            assert.notCalled(githubMock.issues.addLabels);
+            assert.notCalled(githubMock.pulls.requestReviewers);
+        });
+
+        it('opens pull request with body, labels, reviewers and a custom branch as draft', async () => {
+            githubMock.repos.getBranch.withArgs(sinon.match({ branch: 'sd/template' })).rejects(notFoundError);
+            githubMock.issues.addLabels.resolves({ data: [{ name: 'dependencies' }] });
+            githubMock.pulls.requestReviewers.resolves({ data: { number: 1347 } });
+
+            await scm.openPr({
+                ...openPrConfig,
+                body: 'Bumps the template version',
+                labels: ['dependencies'],
+                reviewers: ['octocat'],
+                draft: true,
+                branch: 'sd/template'
+            });
+
+            assert.calledWith(githubMock.git.createRef, sinon.match({ ref: 'refs/heads/sd/template', sha: '5678' }));
+            assert.calledWith(githubMock.pulls.create, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                title: 'update file',
+                body: 'Bumps the template version',
+                head: 'screwdriver-cd:sd/template',
+                base: 'master',
+                draft: true
+            });
+            assert.calledWith(githubMock.issues.addLabels, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                issue_number: 1347,
+                labels: ['dependencies']
+            });
+            assert.calledWith(githubMock.pulls.requestReviewers, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                pull_number: 1347,
+                reviewers: ['octocat']
+            });
+        });
+
+        describe('when the branch already exists', () => {
+            beforeEach(() => {
+                githubMock.repos.getBranch.withArgs(sinon.match({ branch: 'update_file' })).resolves({
+                    data: {
+                        name: 'update_file',
+                        commit: {
+                            sha: 'abcd',
+                            commit: { tree: { sha: 'headtree' } }
+                        }
+                    }
                 });
-                assert.calledWith(githubMock.git.createRef, {
+                githubMock.git.updateRef.resolves({ data: { ref: 'refs/heads/update_file' } });
+                githubMock.pulls.update.resolves({ data: { id: 1, number: 1347 } });
+            });
+
+            it('pushes a new commit onto the branch and updates its pull request', async () => {
+                githubMock.pulls.list.resolves({ data: [{ number: 1347 }] });
+
+                const pr = await scm.openPr({ ...openPrConfig, title: 'update file again', branch: 'update_file' });
+
+                assert.calledWith(githubMock.git.createTree, sinon.match({ base_tree: 'headtree' }));
+                assert.calledWith(githubMock.git.createCommit, sinon.match({ parents: ['abcd'] }));
+                assert.notCalled(githubMock.git.createRef);
+                assert.calledWith(githubMock.git.updateRef, {
                     owner: 'screwdriver-cd',
                     repo: 'scm-github',
-                    ref: 'refs/heads/update_file',
-                    sha: '1234'
+                    ref: 'heads/update_file',
+                    sha: '5678'
                 });
-                assert.calledWith(githubMock.repos.createOrUpdateFileContents, {
+                assert.calledWith(githubMock.pulls.list, {
                     owner: 'screwdriver-cd',
                     repo: 'scm-github',
-                    path: 'file.txt',
-                    branch: 'update_file',
-                    message: 'update file',
-                    content: Buffer.from('content').toString('base64')
+                    head: 'screwdriver-cd:update_file',
+                    state: 'open'
                 });
-                assert.calledWith(githubMock.pulls.create, {
+                assert.calledWith(githubMock.pulls.update, {
                     owner: 'screwdriver-cd',
                     repo: 'scm-github',
-                    title: 'update file',
-                    head: 'screwdriver-cd:update_file',
-                    base: 'master'
+                    title: 'update file again',
+                    pull_number: 1347
                 });
-                assert.deepEqual(
-                    pr.data,
-                    {
-                        url: 'https://api.github.com/repos/screwdriver-cd/scm-github/pulls/1347',
-                        id: 1
-                    }
+                assert.notCalled(githubMock.pulls.create);
+                assert.deepEqual(pr.data, { id: 1, number: 1347 });
+            });
+
+            it('reuses the branch when it has no open pull request', async () => {
+                githubMock.pulls.list.resolves({ data: [] });
+
+                await scm.openPr(openPrConfig);
+
+                assert.calledOnce(githubMock.git.updateRef);
+                assert.notCalled(githubMock.pulls.update);
+                assert.calledWith(
+                    githubMock.pulls.create,
+                    sinon.match({ head: 'screwdriver-cd:update_file', base: 'master' })
                 );
-                done();
             });
         });
 
-        it('opens pull request with multiple file updates', (done) => {
-            const openPrConfig = {
-                checkoutUrl: 'git@github.com:screwdriver-cd/scm-github.git#master',
-                token: 'thisisatoken',
-                files: [{
-                    name: 'file.txt',
-                    content: 'content'
-                }, {
-                    name: 'file2.txt',
-                    content: 'content'
-                }],
-                title: 'update file',
-                message: 'update file'
-            };
-
-            scm.openPr(openPrConfig).then((pr) => {
-                assert.deepEqual(
-                    pr.data,
-                    {
-                        url: 'https://api.github.com/repos/screwdriver-cd/scm-github/pulls/1347',
-                        id: 1
-                    }
-                )
+        it('opens pull request with multiple file changes in one commit', async () => {
+            const pr = await scm.openPr({
+                ...openPrConfig,
+                files: [
+                    { name: 'file.txt', content: 'content' },
+                    { name: 'scripts/run.sh', content: '#!/bin/sh', executable: true },
+                    { name: 'old.txt', deleted: true }
+                ]
             });
 
-            done();
+            assert.calledTwice(githubMock.git.createBlob);
+            assert.calledWith(githubMock.git.createTree, {
+                owner: 'screwdriver-cd',
+                repo: 'scm-github',
+                base_tree: 'basetree',
+                tree: [
+                    { path: 'file.txt', mode: '100644', type: 'blob', sha: 'blob-content' },
+                    { path: 'scripts/run.sh', mode: '100755', type: 'blob', sha: 'blob-#!/bin/sh' },
+                    { path: 'old.txt', mode: '100644', type: 'blob', sha: null }
+                ]
+            });
+            assert.calledOnce(githubMock.git.createCommit);
+            assert.calledOnce(githubMock.git.createRef);
+            assert.strictEqual(pr.data.id, 1);
         });
 
+        it('requires the content of files that are not deleted', () =>
+            scm.openPr({ ...openPrConfig, files: [{ name: 'file.txt' }] }).then(assert.fail, err => {
+                assert.match(err.message, /"files\[0\].content" is required/);
+                assert.notCalled(githubMock.repos.getBranch);
+            }));
+
         it('throws an error when failing to get branch', () => {
             const testError = new Error('getBranchError');
 
             githubMock.repos.getBranch.rejects(testError);
 
-            return scm.openPr(openPrConfig).then(assert.fail, (err) => {
+            return scm.openPr(openPrConfig).then(assert.fail, err => {
                 assert.equal(err, testError);
             });
         });
@@ -4257,18 +7181,20 @@ jobs:
 
             githubMock.git.createRef.rejects(testError);
 
-            return scm.openPr(openPrConfig).then(assert.fail, (err) => {
+            return scm.openPr(openPrConfig).then(assert.fail, err => {
                 assert.equal(err, testError);
+                assert.notCalled(githubMock.pulls.create);
             });
         });
 
         it('throws an error when failing to create file', () => {
-            const testError = new Error('createFileError');
+            const testError = new Error('createBlobError');
 
-            githubMock.repos.createOrUpdateFileContents.rejects(testError);
+            githubMock.git.createBlob.rejects(testError);
 
-            return scm.openPr(openPrConfig).then(assert.fail, (err) => {
+            return scm.openPr(openPrConfig).then(assert.fail, err => {
                 assert.equal(err, testError);
+                assert.notCalled(githubMock.git.createRef);
             });
         });
 
@@ -4277,7 +7203,7 @@ jobs:
 
             githubMock.pulls.create.rejects(testError);
 
-            return scm.openPr(openPrConfig).then(assert.fail, (err) => {
+            return scm.openPr(openPrConfig).then(assert.fail, err => {
                 assert.equal(err, testError);
             });
         });